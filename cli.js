@@ -0,0 +1,329 @@
+/**
+ * Operator command line
+ *
+ * node cli.js draws [--status <status>] [--limit <n>]    Latest draws, most recent first
+ * node cli.js draw <round>                               One draw with its distributions
+ * node cli.js plan <round>                               Payout plan of a draw and where each transfer is
+ * node cli.js finalize [--force]                         Finalize the running draw (--force skips the end date check)
+ * node cli.js start                                      Start the next pending draw
+ * node cli.js calculate [<round>] [--dry-run]            Calculate and pay the prizes of a processing draw
+ *                                                        (--dry-run only previews them, see also PAYOUT_DRY_RUN)
+ * node cli.js retry                                      Send the failed and interrupted payouts again
+ * node cli.js distribution retry <id> --reason <text>    Give a failed distribution its attempts back and send it
+ * node cli.js distribution void <id> --reason <text>     Give up on a planned or failed distribution
+ *
+ * Uses the same modules and environment as the server (.env locally), without
+ * the web server or the scheduler: each command runs once and exits, non-zero
+ * on failure. Results are printed as JSON, amounts as strings of datum, and
+ * logs go to stderr. Commands that change anything are written to the audit
+ * log as operator cli:<user>, with --reason (optional for the draw steps).
+ */
+
+const os = require("os");
+const { parseArgs } = require("util");
+
+if (typeof process.env.REPL_ID === "undefined") {
+    require("dotenv").config();
+}
+
+// Keep stdout for the results, readable logs on stderr unless asked otherwise
+process.env.LOG_OUTPUT = process.env.LOG_OUTPUT || "stderr";
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || "text";
+
+const { createGame, MIN_DAG_TX_AMOUNT } = require("./lib/game");
+const { listDraws, findDraw } = require("./lib/draws");
+const {
+    fetchPayoutPlan,
+    processPayouts,
+    requeueDistribution,
+    voidDistribution,
+    markPaidDraws,
+} = require("./lib/payouts");
+const { recordAudit } = require("./lib/admin");
+const { toDatum, jsonReplacer } = require("./lib/amounts");
+
+const USAGE = `Usage: node cli.js <command>
+
+  draws [--status <status>] [--limit <n>]    Latest draws, most recent first
+  draw <round>                               One draw with its distributions
+  plan <round>                               Payout plan of a draw
+  finalize [--force]                         Finalize the running draw
+  start                                      Start the next pending draw
+  calculate [<round>] [--dry-run]            Calculate and pay the prizes of a processing draw,
+                                             or only preview them with --dry-run
+  retry                                      Send the failed and interrupted payouts again
+  distribution retry <id> --reason <text>    Give a failed distribution its attempts back and send it
+  distribution void <id> --reason <text>     Give up on a planned or failed distribution
+
+Commands that change anything accept --reason, written to the audit log.`;
+
+/**
+ * Creates an error that prints the usage along with its message
+ * @param {string} message - What is wrong with the command line
+ * @returns {Error} Error flagged as a usage error
+ */
+function usageError(message) {
+    const error = new Error(message);
+    error.usage = true;
+    return error;
+}
+
+/**
+ * Reads a positive integer argument
+ * @param {string} value - Argument as typed
+ * @param {string} name - Name of the argument, for the error
+ * @returns {number} The integer
+ */
+function readId(value, name) {
+    const id = parseInt(value, 10);
+
+    if (!(id >= 1) || String(id) !== value) {
+        throw usageError(`${name} must be a positive integer`);
+    }
+
+    return id;
+}
+
+/**
+ * Runs a command that changes something and writes it to the audit log
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} entry
+ * @param {string} entry.action - Action name, the same as the admin API's
+ * @param {*} [entry.target] - What the action applies to
+ * @param {string} entry.reason - Reason given on the command line
+ * @param {Object} [entry.params] - Options of the command
+ * @param {Function} fn - async () => result
+ * @returns {*} The result of fn
+ */
+async function audited(pool, { action, target, reason, params }, fn) {
+    const entry = {
+        operator: `cli:${os.userInfo().username}`,
+        action,
+        target,
+        reason,
+        params,
+    };
+
+    try {
+        const result = await fn();
+        await recordAudit(pool, { ...entry, outcome: "success" });
+        return result;
+    } catch (error) {
+        await recordAudit(pool, {
+            ...entry,
+            outcome: "failure",
+            error: error.message,
+        }).catch(() => {});
+        throw error;
+    }
+}
+
+/**
+ * Runs one command
+ * @param {Object} game - Game created by createGame
+ * @param {Array} args - Positional arguments, the command first
+ * @param {Object} options - Parsed options
+ * @returns {*} What to print
+ */
+async function run(game, [command, ...args], options) {
+    const { pool, network, address } = game;
+    const reason = options.reason || "Run from the command line";
+
+    switch (command) {
+        case "draws": {
+            const limit = options.limit ? readId(options.limit, "--limit") : 20;
+            return listDraws(pool, {
+                limit,
+                status: options.status || null,
+                minAmount: MIN_DAG_TX_AMOUNT,
+            });
+        }
+
+        case "draw": {
+            const draw = await findDraw(
+                pool,
+                readId(args[0], "round"),
+                MIN_DAG_TX_AMOUNT,
+            );
+
+            if (!draw) {
+                throw new Error(`Round ${args[0]} not found`);
+            }
+
+            return draw;
+        }
+
+        case "plan": {
+            const counter = readId(args[0], "round");
+            const { rows } = await pool.query(
+                `SELECT id, status, distribution_strategy FROM draws WHERE draw_counter = $1`,
+                [counter],
+            );
+
+            if (rows.length === 0) {
+                throw new Error(`Round ${counter} not found`);
+            }
+
+            const plan = await fetchPayoutPlan(pool, rows[0].id);
+            return {
+                round_number: counter,
+                status: rows[0].status,
+                strategy: rows[0].distribution_strategy,
+                total: plan.reduce((sum, row) => sum + toDatum(row.prize), 0n),
+                payouts: plan,
+            };
+        }
+
+        case "finalize":
+            return audited(
+                pool,
+                {
+                    action: "draw.finalize",
+                    reason,
+                    params: { force: Boolean(options.force) },
+                },
+                () => game.finalizeDraw({ force: Boolean(options.force) }),
+            );
+
+        case "start":
+            return audited(pool, { action: "draw.start", reason }, () =>
+                game.startNewDraw(),
+            );
+
+        case "calculate": {
+            const counter = args[0] ? readId(args[0], "round") : undefined;
+            await game.checkWallet();
+            return audited(
+                pool,
+                {
+                    action: "draw.calculate",
+                    target: counter,
+                    reason,
+                    params: { dry_run: options["dry-run"] },
+                },
+                async () => {
+                    const result = await game.calculatePrizes(counter, {
+                        // Unset leaves the default of PAYOUT_DRY_RUN
+                        dryRun: options["dry-run"],
+                        requestedBy: `cli:${os.userInfo().username}`,
+                    });
+
+                    if (!result) {
+                        throw new Error("No draw waiting for its prizes");
+                    }
+
+                    return result;
+                },
+            );
+        }
+
+        case "retry":
+            await game.checkWallet();
+            return audited(pool, { action: "payouts.retry", reason }, () =>
+                game.retry(),
+            );
+
+        case "distribution": {
+            const [action, idArg] = args;
+            const id = readId(idArg, "id");
+
+            if (!options.reason) {
+                throw usageError(`distribution ${action} needs a --reason`);
+            }
+
+            if (action === "retry") {
+                await game.checkWallet();
+                return audited(
+                    pool,
+                    { action: "distribution.retry", target: id, reason },
+                    async () => {
+                        const requeued = await requeueDistribution(pool, id);
+
+                        if (!requeued) {
+                            throw new Error(
+                                `Distribution ${id} not found or not failed`,
+                            );
+                        }
+
+                        const sent = await processPayouts(pool, network, {
+                            fromAddress: address,
+                            distributionId: id,
+                            retryFailed: true,
+                        });
+                        await markPaidDraws(pool);
+
+                        return sent;
+                    },
+                );
+            }
+
+            if (action === "void") {
+                return audited(
+                    pool,
+                    { action: "distribution.void", target: id, reason },
+                    async () => {
+                        const voided = await voidDistribution(pool, id, reason);
+
+                        if (!voided) {
+                            throw new Error(
+                                `Distribution ${id} not found, or already sent or voided`,
+                            );
+                        }
+
+                        await markPaidDraws(pool);
+                        return voided;
+                    },
+                );
+            }
+
+            throw usageError(`Unknown distribution action '${action}'`);
+        }
+
+        default:
+            throw usageError(
+                command ? `Unknown command '${command}'` : "No command given",
+            );
+    }
+}
+
+/**
+ * Parses the command line, runs the command and prints its result
+ */
+async function main() {
+    const { values: options, positionals } = parseArgs({
+        args: process.argv.slice(2),
+        options: {
+            status: { type: "string" },
+            limit: { type: "string" },
+            force: { type: "boolean" },
+            "dry-run": { type: "boolean" },
+            reason: { type: "string" },
+            help: { type: "boolean", short: "h" },
+        },
+        allowPositionals: true,
+    });
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const game = createGame(process.env);
+    try {
+        const result = await run(game, positionals, options);
+        console.log(JSON.stringify(result, jsonReplacer, 2));
+    } finally {
+        await game.pool.end();
+    }
+}
+
+// Exit without waiting on the timers and sockets the network client may keep open
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error.message);
+        if (error.usage || error.code === "ERR_PARSE_ARGS_UNKNOWN_OPTION") {
+            console.error(`\n${USAGE}`);
+        }
+        process.exit(1);
+    });
@@ -0,0 +1,64 @@
+/**
+ * Migration command
+ *
+ * node database/migrate.js           Apply the pending migrations
+ * node database/migrate.js --status  List the migrations and whether they are applied
+ * node database/migrate.js --seed    Apply the pending migrations, then run the seeds
+ *
+ * Reads the same environment as the server (.env locally).
+ */
+
+const path = require("path");
+const { createMigrationPool } = require("../lib/db");
+const { migrate, migrationStatus, runSeeds } = require("../lib/migrations");
+
+if (typeof process.env.REPL_ID === "undefined") {
+    require("dotenv").config();
+}
+
+const env = process.env;
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const SEEDS_DIR = path.join(__dirname, "seeds");
+
+/**
+ * Runs the command given on the command line
+ */
+async function main() {
+    const args = process.argv.slice(2);
+    const pool = createMigrationPool(env);
+
+    try {
+        if (args.includes("--status")) {
+            const migrations = await migrationStatus(pool, {
+                dir: MIGRATIONS_DIR,
+            });
+            for (const m of migrations) {
+                console.log(
+                    `${m.status.padEnd(8)} ${m.file}${m.applied_at ? `  ${m.applied_at.toISOString()}` : ""}`,
+                );
+            }
+            return;
+        }
+
+        const applied = await migrate(pool, {
+            dir: MIGRATIONS_DIR,
+            grantTo: env.MIGRATION_DBUSER ? env.DBUSER : null,
+        });
+        console.log(
+            applied.length > 0
+                ? `Applied ${applied.length} migration(s)`
+                : "The database is up to date",
+        );
+
+        if (args.includes("--seed")) {
+            await runSeeds(pool, { dir: SEEDS_DIR });
+        }
+    } finally {
+        await pool.end();
+    }
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
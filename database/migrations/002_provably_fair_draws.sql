@@ -0,0 +1,20 @@
+-- Seed commitment, reveal and chain entropy of each draw (see lib/fairness.js)
+
+ALTER TABLE public.draws
+    ADD COLUMN IF NOT EXISTS seed_commitment character varying(64) COLLATE pg_catalog."default",
+    ADD COLUMN IF NOT EXISTS seed_reveal character varying(64) COLLATE pg_catalog."default",
+    ADD COLUMN IF NOT EXISTS chain_entropy character varying(255) COLLATE pg_catalog."default",
+    ADD COLUMN IF NOT EXISTS winning_ticket numeric(30,0);
+
+-- Secret seeds stay here until the draw is finalized and the seed is copied to draws.seed_reveal
+CREATE TABLE IF NOT EXISTS public.draw_seeds
+(
+    draw_id integer NOT NULL,
+    seed character varying(64) COLLATE pg_catalog."default" NOT NULL,
+    created_at timestamp with time zone DEFAULT now(),
+    CONSTRAINT draw_seeds_pkey PRIMARY KEY (draw_id),
+    CONSTRAINT draw_seeds_draw_id_fkey FOREIGN KEY (draw_id)
+        REFERENCES public.draws (id) MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE CASCADE
+);
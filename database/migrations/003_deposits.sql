@@ -0,0 +1,39 @@
+-- Deposits copied from the block explorer, and where the sync stopped
+
+CREATE SEQUENCE IF NOT EXISTS public.deposits_id_seq
+INCREMENT 1
+START 1
+MINVALUE 1
+MAXVALUE 2147483647
+CACHE 1;
+
+CREATE TABLE IF NOT EXISTS public.deposits
+(
+    id integer NOT NULL DEFAULT nextval('deposits_id_seq'::regclass),
+    hash character varying(255) COLLATE pg_catalog."default" NOT NULL,
+    source character varying(255) COLLATE pg_catalog."default" NOT NULL,
+    destination character varying(255) COLLATE pg_catalog."default" NOT NULL,
+    amount bigint NOT NULL,
+    fee bigint NOT NULL DEFAULT 0,
+    transaction_datetime timestamp with time zone NOT NULL,
+    draw_id integer,
+    created_at timestamp with time zone DEFAULT now(),
+    CONSTRAINT deposits_pkey PRIMARY KEY (id),
+    CONSTRAINT deposits_hash_key UNIQUE (hash),
+    CONSTRAINT deposits_draw_id_fkey FOREIGN KEY (draw_id)
+        REFERENCES public.draws (id) MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS deposits_draw_id_idx ON public.deposits (draw_id);
+
+CREATE TABLE IF NOT EXISTS public.sync_state
+(
+    name character varying(100) COLLATE pg_catalog."default" NOT NULL,
+    head_hash character varying(255) COLLATE pg_catalog."default",
+    pass_head_hash character varying(255) COLLATE pg_catalog."default",
+    cursor text COLLATE pg_catalog."default",
+    updated_at timestamp with time zone DEFAULT now(),
+    CONSTRAINT sync_state_pkey PRIMARY KEY (name)
+);
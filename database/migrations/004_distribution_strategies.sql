@@ -0,0 +1,5 @@
+-- Distribution strategy of each draw (see lib/strategies.js)
+
+ALTER TABLE public.draws
+    ADD COLUMN IF NOT EXISTS distribution_strategy character varying(50) COLLATE pg_catalog."default" DEFAULT 'top-plus-equal-share'::character varying,
+    ADD COLUMN IF NOT EXISTS distribution_options jsonb;
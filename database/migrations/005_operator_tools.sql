@@ -0,0 +1,46 @@
+-- Runtime settings, the operator audit log and the blocklist
+
+CREATE SEQUENCE IF NOT EXISTS public.admin_audit_log_id_seq
+INCREMENT 1
+START 1
+MINVALUE 1
+MAXVALUE 2147483647
+CACHE 1;
+
+CREATE TABLE IF NOT EXISTS public.app_settings
+(
+    name character varying(100) COLLATE pg_catalog."default" NOT NULL,
+    value jsonb NOT NULL,
+    updated_at timestamp with time zone DEFAULT now(),
+    CONSTRAINT app_settings_pkey PRIMARY KEY (name)
+);
+
+CREATE TABLE IF NOT EXISTS public.admin_audit_log
+(
+    id integer NOT NULL DEFAULT nextval('admin_audit_log_id_seq'::regclass),
+    operator character varying(100) COLLATE pg_catalog."default" NOT NULL,
+    action character varying(100) COLLATE pg_catalog."default" NOT NULL,
+    target character varying(255) COLLATE pg_catalog."default",
+    reason text COLLATE pg_catalog."default" NOT NULL,
+    params jsonb,
+    outcome character varying(20) COLLATE pg_catalog."default" NOT NULL,
+    error_message character varying COLLATE pg_catalog."default",
+    created_at timestamp with time zone DEFAULT now(),
+    CONSTRAINT admin_audit_log_pkey PRIMARY KEY (id)
+);
+
+CREATE TABLE IF NOT EXISTS public.blocklist
+(
+    public_key character varying(255) COLLATE pg_catalog."default" NOT NULL,
+    reason text COLLATE pg_catalog."default" NOT NULL,
+    expires_at timestamp with time zone,
+    added_by character varying(100) COLLATE pg_catalog."default" NOT NULL,
+    created_at timestamp with time zone DEFAULT now(),
+    CONSTRAINT blocklist_pkey PRIMARY KEY (public_key)
+);
+
+-- Addresses the game always excluded (the former hardcoded BLOCKLIST), kept out on every deployment
+INSERT INTO blocklist (public_key, reason, added_by) VALUES
+    ('DAG6EJXuUodj1zyH8NLyMVphUEgtXAmuCyuk87PR', 'Excluded from the game', 'setup'),
+    ('DAG6k3XRXm4WhvJMyN9jcz5HKVRPN8fQ64Lbj1p2', 'Excluded from the game', 'setup')
+ON CONFLICT (public_key) DO NOTHING;
@@ -0,0 +1,22 @@
+-- Payout plans stored in distributions before anything is sent (see lib/payouts.js)
+
+ALTER TABLE public.distributions
+    ADD COLUMN IF NOT EXISTS payout_type character varying(50) COLLATE pg_catalog."default" NOT NULL DEFAULT 'individual'::character varying,
+    ADD COLUMN IF NOT EXISTS submitted_at timestamp with time zone;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'distributions_payout_key') THEN
+        -- Rows of the first release didn't record their payout type, keep them apart
+        UPDATE public.distributions SET payout_type = 'legacy-' || id;
+
+        ALTER TABLE public.distributions
+            ADD CONSTRAINT distributions_payout_key UNIQUE (draw_id, public_key, payout_type);
+    END IF;
+END $$;
+
+-- The first release stored whatever status the network answered with
+UPDATE public.distributions
+SET status = CASE WHEN hash IS NULL THEN 'Failed' ELSE 'Submitted' END
+WHERE status IS NULL
+   OR status NOT IN ('Planned', 'Submitted', 'Confirmed', 'Failed');
@@ -0,0 +1,24 @@
+-- Amounts as integer datum (1 DAG = 100000000 datum) instead of DAG decimals
+
+DO $$
+BEGIN
+    IF (SELECT data_type FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'draws' AND column_name = 'total_collected') = 'numeric' THEN
+        ALTER TABLE public.draws
+            ALTER COLUMN total_collected TYPE bigint USING round(total_collected * 100000000);
+    END IF;
+
+    IF (SELECT data_type FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'distributions' AND column_name = 'prize') = 'numeric' THEN
+        ALTER TABLE public.distributions
+            ALTER COLUMN prize TYPE bigint USING round(prize * 100000000),
+            ALTER COLUMN fee_paid TYPE bigint USING round(fee_paid * 100000000);
+    END IF;
+END $$;
+
+-- The house fee rate, e.g. 0.0500
+ALTER TABLE public.draws ALTER COLUMN fee TYPE numeric(5,4);
+
+ALTER TABLE public.draws
+    ADD COLUMN IF NOT EXISTS house_fee bigint,
+    ADD COLUMN IF NOT EXISTS rounding_remainder bigint;
@@ -0,0 +1,18 @@
+-- Deposits that could not enter a draw and the transfer sending them back
+CREATE TABLE IF NOT EXISTS public.refunds
+(
+    deposit_id integer NOT NULL,
+    reason character varying(50) COLLATE pg_catalog."default" NOT NULL,
+    amount bigint NOT NULL,
+    distribution_id integer,
+    created_at timestamp with time zone DEFAULT now(),
+    CONSTRAINT refunds_pkey PRIMARY KEY (deposit_id),
+    CONSTRAINT refunds_deposit_id_fkey FOREIGN KEY (deposit_id)
+        REFERENCES public.deposits (id) MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE CASCADE,
+    CONSTRAINT refunds_distribution_id_fkey FOREIGN KEY (distribution_id)
+        REFERENCES public.distributions (id) MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE SET NULL
+);
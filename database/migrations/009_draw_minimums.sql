@@ -0,0 +1,14 @@
+-- Minimum participants and pool of a draw, and jackpots rolled over to the next one
+
+ALTER TABLE public.draws
+    ADD COLUMN IF NOT EXISTS min_participants integer NOT NULL DEFAULT 2,
+    ADD COLUMN IF NOT EXISTS min_pool bigint NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS shortfall_action character varying(20) COLLATE pg_catalog."default" NOT NULL DEFAULT 'refund'::character varying,
+    ADD COLUMN IF NOT EXISTS carried_over bigint NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS rolled_over_to integer;
+
+ALTER TABLE public.draws DROP CONSTRAINT IF EXISTS draws_min_participants_check;
+ALTER TABLE public.draws ADD CONSTRAINT draws_min_participants_check CHECK (min_participants >= 1);
+
+ALTER TABLE public.draws DROP CONSTRAINT IF EXISTS draws_shortfall_action_check;
+ALTER TABLE public.draws ADD CONSTRAINT draws_shortfall_action_check CHECK (shortfall_action IN ('refund', 'rollover'));
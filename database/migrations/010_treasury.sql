@@ -0,0 +1,41 @@
+-- Movements of the house's money in datum (see lib/treasury.js), entry_key keeps each one recorded once
+
+CREATE SEQUENCE IF NOT EXISTS public.treasury_entries_id_seq
+INCREMENT 1
+START 1
+MINVALUE 1
+MAXVALUE 2147483647
+CACHE 1;
+
+CREATE TABLE IF NOT EXISTS public.treasury_entries
+(
+    id integer NOT NULL DEFAULT nextval('treasury_entries_id_seq'::regclass),
+    entry_key character varying(100) COLLATE pg_catalog."default" NOT NULL,
+    entry_type character varying(50) COLLATE pg_catalog."default" NOT NULL,
+    draw_id integer,
+    distribution_id integer,
+    amount bigint NOT NULL,
+    created_at timestamp with time zone DEFAULT now(),
+    CONSTRAINT treasury_entries_pkey PRIMARY KEY (id),
+    CONSTRAINT treasury_entries_entry_key UNIQUE (entry_key),
+    CONSTRAINT treasury_entries_draw_id_fkey FOREIGN KEY (draw_id)
+        REFERENCES public.draws (id) MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE SET NULL,
+    CONSTRAINT treasury_entries_distribution_id_fkey FOREIGN KEY (distribution_id)
+        REFERENCES public.distributions (id) MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE SET NULL
+);
+
+-- Book the house's share of the draws paid before the treasury ledger existed
+INSERT INTO treasury_entries (entry_key, entry_type, draw_id, amount)
+SELECT 'draw-' || id || ':house_fee', 'house_fee', id, house_fee
+FROM draws WHERE house_fee IS NOT NULL
+UNION ALL
+SELECT 'draw-' || id || ':rounding_remainder', 'rounding_remainder', id, rounding_remainder
+FROM draws WHERE rounding_remainder IS NOT NULL
+UNION ALL
+SELECT 'draw-' || draw_id || ':network_fees', 'network_fees', draw_id, -SUM(fee_paid)
+FROM distributions WHERE draw_id IS NOT NULL GROUP BY draw_id
+ON CONFLICT (entry_key) DO NOTHING;
@@ -0,0 +1,6 @@
+-- Snapshot confirmation of each transfer (see lib/confirmations.js)
+
+ALTER TABLE public.distributions
+    ADD COLUMN IF NOT EXISTS confirmed_at timestamp with time zone,
+    ADD COLUMN IF NOT EXISTS snapshot_ordinal bigint,
+    ADD COLUMN IF NOT EXISTS snapshot_hash character varying(255) COLLATE pg_catalog."default";
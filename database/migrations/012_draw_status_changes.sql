@@ -0,0 +1,30 @@
+-- When each draw entered its current status, read by the /metrics endpoint.
+-- Kept by a trigger so every status change counts, whichever code makes it.
+
+ALTER TABLE public.draws
+    ADD COLUMN IF NOT EXISTS status_changed_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP;
+
+-- Best guess for the draws that existed before
+UPDATE public.draws
+SET status_changed_at = CASE
+    WHEN status = 'Running' THEN date_start
+    WHEN status = 'Pending' THEN created_at
+    ELSE COALESCE(updated_at, created_at)
+END;
+
+CREATE OR REPLACE FUNCTION public.draws_track_status_change()
+RETURNS trigger AS $$
+BEGIN
+    IF NEW.status IS DISTINCT FROM OLD.status THEN
+        NEW.status_changed_at := CURRENT_TIMESTAMP;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS draws_status_changed_at ON public.draws;
+
+CREATE TRIGGER draws_status_changed_at
+    BEFORE UPDATE OF status ON public.draws
+    FOR EACH ROW
+    EXECUTE FUNCTION public.draws_track_status_change();
@@ -0,0 +1,57 @@
+-- Outbound webhooks (see lib/webhooks.js): the subscriptions, and one delivery
+-- per event and subscription that doubles as the delivery log
+
+CREATE SEQUENCE IF NOT EXISTS public.webhook_subscriptions_id_seq
+INCREMENT 1
+START 1
+MINVALUE 1
+MAXVALUE 2147483647
+CACHE 1;
+
+CREATE SEQUENCE IF NOT EXISTS public.webhook_deliveries_id_seq
+INCREMENT 1
+START 1
+MINVALUE 1
+MAXVALUE 2147483647
+CACHE 1;
+
+CREATE TABLE IF NOT EXISTS public.webhook_subscriptions
+(
+    id integer NOT NULL DEFAULT nextval('webhook_subscriptions_id_seq'::regclass),
+    url text COLLATE pg_catalog."default" NOT NULL,
+    secret character varying(255) COLLATE pg_catalog."default" NOT NULL,
+    events text[] NOT NULL,
+    description text COLLATE pg_catalog."default",
+    active boolean NOT NULL DEFAULT true,
+    created_by character varying(100) COLLATE pg_catalog."default",
+    created_at timestamp with time zone DEFAULT now(),
+    updated_at timestamp with time zone DEFAULT now(),
+    CONSTRAINT webhook_subscriptions_pkey PRIMARY KEY (id)
+);
+
+CREATE TABLE IF NOT EXISTS public.webhook_deliveries
+(
+    id integer NOT NULL DEFAULT nextval('webhook_deliveries_id_seq'::regclass),
+    subscription_id integer NOT NULL,
+    event_id uuid NOT NULL,
+    event_type character varying(50) COLLATE pg_catalog."default" NOT NULL,
+    payload jsonb NOT NULL,
+    status character varying(20) COLLATE pg_catalog."default" NOT NULL DEFAULT 'Pending',
+    attempts integer NOT NULL DEFAULT 0,
+    next_attempt_at timestamp with time zone DEFAULT now(),
+    last_status_code integer,
+    last_error text COLLATE pg_catalog."default",
+    delivered_at timestamp with time zone,
+    created_at timestamp with time zone DEFAULT now(),
+    updated_at timestamp with time zone DEFAULT now(),
+    CONSTRAINT webhook_deliveries_pkey PRIMARY KEY (id),
+    CONSTRAINT webhook_deliveries_subscription_event UNIQUE (subscription_id, event_id),
+    CONSTRAINT webhook_deliveries_subscription_id_fkey FOREIGN KEY (subscription_id)
+        REFERENCES public.webhook_subscriptions (id) MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS webhook_deliveries_due
+    ON public.webhook_deliveries (next_attempt_at)
+    WHERE status = 'Pending';
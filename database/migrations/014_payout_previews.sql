@@ -0,0 +1,26 @@
+-- Dry runs of calculatePrizes (see previewPrizes in lib/game.js): what a draw
+-- would pay, kept so it can be compared with what was paid afterwards
+
+CREATE SEQUENCE IF NOT EXISTS public.payout_previews_id_seq
+INCREMENT 1
+START 1
+MINVALUE 1
+MAXVALUE 2147483647
+CACHE 1;
+
+CREATE TABLE IF NOT EXISTS public.payout_previews
+(
+    id integer NOT NULL DEFAULT nextval('payout_previews_id_seq'::regclass),
+    draw_id integer NOT NULL,
+    preview jsonb NOT NULL,
+    requested_by character varying(100) COLLATE pg_catalog."default",
+    created_at timestamp with time zone DEFAULT now(),
+    CONSTRAINT payout_previews_pkey PRIMARY KEY (id),
+    CONSTRAINT payout_previews_draw_id_fkey FOREIGN KEY (draw_id)
+        REFERENCES public.draws (id) MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS payout_previews_draw
+    ON public.payout_previews (draw_id, created_at DESC);
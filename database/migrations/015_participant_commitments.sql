@@ -0,0 +1,19 @@
+-- Merkle commitment of each draw's participants (see lib/merkle.js): the root
+-- published with the draw, and the entries it was built from to serve proofs
+
+ALTER TABLE public.draws
+    ADD COLUMN IF NOT EXISTS participants_root character varying(64) COLLATE pg_catalog."default";
+
+CREATE TABLE IF NOT EXISTS public.draw_participants
+(
+    draw_id integer NOT NULL,
+    leaf_index integer NOT NULL,
+    address character varying(255) COLLATE pg_catalog."default" NOT NULL,
+    amount bigint NOT NULL,
+    CONSTRAINT draw_participants_pkey PRIMARY KEY (draw_id, leaf_index),
+    CONSTRAINT draw_participants_address UNIQUE (draw_id, address),
+    CONSTRAINT draw_participants_draw_id_fkey FOREIGN KEY (draw_id)
+        REFERENCES public.draws (id) MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE CASCADE
+);
@@ -0,0 +1,30 @@
+-- Which deposits a draw's participant commitment was built from (see
+-- lib/participants.js). deposits.committed is true for the deposits counted
+-- when the draw closed, false for the ones of its window left out (below the
+-- minimum or blocklisted), and NULL before the draw closes or for deposits
+-- synced after it, which are refunded instead of changing the published root.
+
+ALTER TABLE public.draws
+    ADD COLUMN IF NOT EXISTS participants_committed_at timestamp with time zone;
+
+ALTER TABLE public.deposits
+    ADD COLUMN IF NOT EXISTS committed boolean;
+
+-- Draws committed before: which deposits were counted isn't recorded, so the
+-- deposits of a committed address are taken as counted, none is refunded as
+-- late, and the others were left out
+UPDATE public.draws
+SET participants_committed_at = COALESCE(updated_at, CURRENT_TIMESTAMP)
+WHERE participants_root IS NOT NULL
+  AND participants_committed_at IS NULL;
+
+UPDATE public.deposits
+SET committed = EXISTS (
+        SELECT 1 FROM public.draw_participants p
+        WHERE p.draw_id = deposits.draw_id
+          AND p.address = deposits.source
+    )
+FROM public.draws
+WHERE draws.id = deposits.draw_id
+  AND draws.participants_root IS NOT NULL
+  AND deposits.committed IS NULL;
@@ -0,0 +1,5 @@
+-- Development data: a blocked player to try the blocklist with on the local network
+-- (a generated address no one holds the key of)
+INSERT INTO blocklist (public_key, reason, expires_at, added_by) VALUES
+    ('DAG2n8GJd2RVfYX1sJb4rSGL2p3BVwWmikjhygss', 'Local testing', now() + interval '30 days', 'seed')
+ON CONFLICT (public_key) DO NOTHING;
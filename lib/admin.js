@@ -0,0 +1,184 @@
+/**
+ * Operator authentication and audit log
+ *
+ * Operators are configured with ADMIN_TOKENS as comma separated
+ * "operator:token" pairs. Requests authenticate with
+ * "Authorization: Bearer <token>" and every action is written to
+ * admin_audit_log with the operator, the reason given and the outcome.
+ */
+
+const crypto = require("crypto");
+const { logger } = require("./logger");
+
+/**
+ * Parses the ADMIN_TOKENS setting
+ * @param {string} value - e.g. "alice:s3cret,bob:an0ther"
+ * @returns {Array} Operators ({ operator, token })
+ */
+function parseAdminTokens(value) {
+    return (value || "")
+        .split(",")
+        .map((pair) => pair.trim())
+        .filter(Boolean)
+        .map((pair) => {
+            const separator = pair.indexOf(":");
+
+            if (separator <= 0 || separator === pair.length - 1) {
+                throw new Error(
+                    "ADMIN_TOKENS entries must look like operator:token",
+                );
+            }
+
+            return {
+                operator: pair.slice(0, separator),
+                token: pair.slice(separator + 1),
+            };
+        });
+}
+
+const sameToken = (a, b) => {
+    const hashA = crypto.createHash("sha256").update(a).digest();
+    const hashB = crypto.createHash("sha256").update(b).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+};
+
+/**
+ * Express middleware that only lets configured operators through.
+ * Sets req.operator to the operator's name.
+ * @param {Array} operators - Operators returned by parseAdminTokens
+ * @returns {Function} Express middleware
+ */
+function requireOperator(operators) {
+    return (req, res, next) => {
+        const header = req.get("Authorization") || "";
+        const token = header.startsWith("Bearer ") ? header.slice(7) : "";
+
+        const match = token
+            ? operators.find((entry) => sameToken(entry.token, token))
+            : null;
+
+        if (!match) {
+            return res.status(401).json({ error: "Unauthorized" });
+        }
+
+        req.operator = match.operator;
+        next();
+    };
+}
+
+/**
+ * Writes an entry to the audit log
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} entry
+ * @param {string} entry.operator - Operator who ran the action
+ * @param {string} entry.action - Action name (e.g. "draw.cancel")
+ * @param {string} [entry.target] - What the action applied to (e.g. a draw counter)
+ * @param {string} entry.reason - Reason given by the operator
+ * @param {Object} [entry.params] - Extra parameters of the request
+ * @param {string} entry.outcome - "success" or "failure"
+ * @param {string} [entry.error] - Error message on failure
+ */
+async function recordAudit(
+    pool,
+    { operator, action, target, reason, params, outcome, error },
+) {
+    await pool.query(
+        `
+        INSERT INTO admin_audit_log (operator, action, target, reason, params, outcome, error_message)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `,
+        [
+            operator,
+            action,
+            target === undefined ? null : String(target),
+            reason,
+            JSON.stringify(params || {}),
+            outcome,
+            error || null,
+        ],
+    );
+}
+
+/**
+ * Wraps an admin action: checks the reason, runs the action and audits the outcome
+ * @param {Object} pool - PostgreSQL pool
+ * @param {string} action - Action name written to the audit log
+ * @param {Function} handler - async (req) => result sent back to the operator
+ * @returns {Function} Express route handler
+ */
+function auditedAction(pool, action, handler) {
+    return async (req, res) => {
+        const reason = req.body && req.body.reason;
+
+        if (typeof reason !== "string" || reason.trim() === "") {
+            return res
+                .status(400)
+                .json({ error: "A reason is required for admin actions" });
+        }
+
+        const entry = {
+            operator: req.operator,
+            action,
+            target: req.params.counter || req.params.id || req.params.address,
+            reason: reason.trim(),
+            // Secrets (e.g. of a webhook) stay out of the audit log
+            params: {
+                ...req.params,
+                ...req.body,
+                reason: undefined,
+                secret: undefined,
+            },
+        };
+
+        let result;
+        try {
+            result = await handler(req);
+        } catch (error) {
+            logger.error("Admin action failed", {
+                action,
+                operator: req.operator,
+                error,
+            });
+            await recordAudit(pool, {
+                ...entry,
+                outcome: "failure",
+                error: error.message,
+            }).catch((auditError) =>
+                logger.error("Error writing the audit log", {
+                    error: auditError,
+                }),
+            );
+            return res
+                .status(error.status || 500)
+                .json({ error: error.message });
+        }
+
+        await recordAudit(pool, { ...entry, outcome: "success" }).catch(
+            (auditError) =>
+                logger.error("Error writing the audit log", {
+                    error: auditError,
+                }),
+        );
+        res.status(200).json({ action, result: result || null });
+    };
+}
+
+/**
+ * Creates an error that auditedAction answers with the given HTTP status
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error carrying the status
+ */
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+module.exports = {
+    parseAdminTokens,
+    requireOperator,
+    recordAudit,
+    auditedAction,
+    httpError,
+};
@@ -0,0 +1,96 @@
+/**
+ * DAG amounts
+ *
+ * Every amount is handled as an integer number of datum (1 DAG = 100000000
+ * datum) in a BigInt, from the explorer to the database and the API. JSON
+ * responses carry amounts as decimal strings of datum, since JSON numbers
+ * can't hold every BigInt exactly. DAG decimals only appear when talking to
+ * dag4 and when formatting for people.
+ */
+
+const DATUM_PER_DAG = 100000000n;
+
+/**
+ * Reads an amount of datum
+ * @param {bigint|number|string} value - Integer amount of datum
+ * @returns {bigint} Amount in datum
+ */
+function toDatum(value) {
+    if (typeof value === "bigint") {
+        return value;
+    }
+    if (typeof value === "number" && !Number.isSafeInteger(value)) {
+        throw new Error(`${value} is not a whole amount of datum`);
+    }
+    if (typeof value === "string" && !/^-?\d+$/.test(value.trim())) {
+        throw new Error(`'${value}' is not a whole amount of datum`);
+    }
+
+    return BigInt(value);
+}
+
+/**
+ * Converts a DAG amount written in decimal to datum, without going through floats
+ * @param {string|number} value - Amount in DAG, e.g. "1.5"
+ * @returns {bigint} Amount in datum
+ */
+function dagToDatum(value) {
+    const match = /^(-?)(\d*)(?:\.(\d{0,8}))?$/.exec(String(value).trim());
+
+    if (!match || (match[2] === "" && !match[3])) {
+        throw new Error(
+            `'${value}' is not a DAG amount with at most 8 decimals`,
+        );
+    }
+
+    const [, sign, whole, fraction = ""] = match;
+    const datum =
+        BigInt(whole || "0") * DATUM_PER_DAG + BigInt(fraction.padEnd(8, "0"));
+
+    return sign ? -datum : datum;
+}
+
+/**
+ * Writes an amount of datum as an exact DAG decimal, the format dag4 expects
+ * @param {bigint} datum - Amount in datum
+ * @returns {string} Amount in DAG, e.g. "1.5"
+ */
+function formatDag(datum) {
+    const sign = datum < 0n ? "-" : "";
+    const abs = datum < 0n ? -datum : datum;
+    const fraction = (abs % DATUM_PER_DAG)
+        .toString()
+        .padStart(8, "0")
+        .replace(/0+$/, "");
+
+    return `${sign}${abs / DATUM_PER_DAG}${fraction ? `.${fraction}` : ""}`;
+}
+
+/**
+ * Takes a fraction of an amount, rounded down to the datum
+ * @param {bigint} amount - Amount in datum
+ * @param {number} rate - Fraction, e.g. 0.05, precise to 1e-6
+ * @returns {bigint} Share in datum
+ */
+function applyRate(amount, rate) {
+    return (amount * BigInt(Math.round(rate * 1000000))) / 1000000n;
+}
+
+/**
+ * JSON.stringify replacer that writes BigInt amounts as strings
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {*} Value to serialize
+ */
+function jsonReplacer(key, value) {
+    return typeof value === "bigint" ? value.toString() : value;
+}
+
+module.exports = {
+    DATUM_PER_DAG,
+    toDatum,
+    dagToDatum,
+    formatDag,
+    applyRate,
+    jsonReplacer,
+};
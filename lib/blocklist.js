@@ -0,0 +1,92 @@
+/**
+ * Blocklist
+ *
+ * Addresses whose deposits are excluded from the leaderboard and from prize
+ * calculation. Entries live in the blocklist table with the reason, who added
+ * them and an optional expiry; expired entries are ignored.
+ */
+
+/**
+ * Fetches the addresses that are blocked right now
+ * @param {Object} pool - PostgreSQL pool
+ * @returns {Array} Blocked addresses
+ */
+async function fetchActiveBlocklist(pool) {
+    const { rows } = await pool.query(`
+        SELECT public_key
+        FROM blocklist
+        WHERE expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP
+    `);
+
+    return rows.map((row) => row.public_key);
+}
+
+/**
+ * Lists every entry, expired ones included
+ * @param {Object} pool - PostgreSQL pool
+ * @returns {Array} Blocklist entries
+ */
+async function listBlocklist(pool) {
+    const { rows } = await pool.query(`
+        SELECT public_key, reason, expires_at, added_by, created_at,
+               (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP) AS active
+        FROM blocklist
+        ORDER BY created_at DESC
+    `);
+
+    return rows;
+}
+
+/**
+ * Adds an address, or updates its entry when it is already listed
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} entry
+ * @param {string} entry.publicKey - Address to block
+ * @param {string} entry.reason - Why it is blocked
+ * @param {string} [entry.expiresAt] - ISO timestamp after which the entry is ignored
+ * @param {string} entry.addedBy - Operator adding the entry
+ * @returns {Object} The stored entry
+ */
+async function addToBlocklist(pool, { publicKey, reason, expiresAt, addedBy }) {
+    const { rows } = await pool.query(
+        `
+        INSERT INTO blocklist (public_key, reason, expires_at, added_by)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (public_key) DO UPDATE
+        SET reason = EXCLUDED.reason,
+            expires_at = EXCLUDED.expires_at,
+            added_by = EXCLUDED.added_by,
+            created_at = CURRENT_TIMESTAMP
+        RETURNING public_key, reason, expires_at, added_by, created_at
+    `,
+        [publicKey, reason, expiresAt || null, addedBy],
+    );
+
+    return rows[0];
+}
+
+/**
+ * Removes an address
+ * @param {Object} pool - PostgreSQL pool
+ * @param {string} publicKey - Address to unblock
+ * @returns {Object|undefined} The removed entry, undefined when it wasn't listed
+ */
+async function removeFromBlocklist(pool, publicKey) {
+    const { rows } = await pool.query(
+        `
+        DELETE FROM blocklist
+        WHERE public_key = $1
+        RETURNING public_key, reason, expires_at, added_by, created_at
+    `,
+        [publicKey],
+    );
+
+    return rows[0];
+}
+
+module.exports = {
+    fetchActiveBlocklist,
+    listBlocklist,
+    addToBlocklist,
+    removeFromBlocklist,
+};
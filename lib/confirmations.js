@@ -0,0 +1,138 @@
+/**
+ * Confirmation watcher
+ *
+ * The network accepting a transfer doesn't make it final: it still has to be
+ * included in a global snapshot, and a transfer that never makes it there is
+ * dropped. The watcher polls every Submitted distribution that has a hash:
+ *
+ * - Found in a snapshot   -> Confirmed, with the confirmation time and the snapshot ordinal
+ * - Still pending on L1   -> Left Submitted for the next poll
+ * - Unknown for too long  -> Failed, so the retry job sends it again. dag4 builds
+ *                            the new transfer on the wallet's latest reference,
+ *                            so it gets a fresh nonce instead of the dropped one.
+ */
+
+const { logger } = require("./logger");
+const { payoutConfirmations } = require("./metrics");
+const { MAX_ATTEMPTS, describePayout } = require("./payouts");
+const { announce } = require("./webhooks");
+
+// Leaves the network time to snapshot a transfer before calling it dropped
+const DEFAULT_DROP_AFTER_MS = 30 * 60 * 1000;
+
+/**
+ * Polls the transfers waiting for their confirmation once
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} network - Network client
+ * @param {Object} [options]
+ * @param {number} [options.dropAfterMs] - Time after which a transfer the network doesn't know is dropped
+ * @param {number} [options.limit] - Transfers polled per run
+ * @returns {Object} { confirmed, dropped, pending } counts
+ */
+async function watchConfirmations(
+    pool,
+    network,
+    { dropAfterMs = DEFAULT_DROP_AFTER_MS, limit = 100 } = {},
+) {
+    const { rows } = await pool.query(
+        `
+        SELECT id, draw_id, public_key, payout_type, prize, fee_paid, hash, retry,
+               submitted_at, transaction_datetime, updated_at
+        FROM distributions
+        WHERE status = 'Submitted'
+          AND hash IS NOT NULL
+        ORDER BY id
+        LIMIT $1
+    `,
+        [limit],
+    );
+
+    // A bad setting must not keep dropped transfers Submitted forever
+    const dropAfter = Number.isFinite(dropAfterMs)
+        ? dropAfterMs
+        : DEFAULT_DROP_AFTER_MS;
+    const result = { confirmed: 0, dropped: 0, pending: 0 };
+
+    for (const distribution of rows) {
+        let transfer;
+        try {
+            transfer = await network.getTransferStatus(distribution.hash);
+        } catch (error) {
+            logger.error("Error checking distribution", {
+                draw_id: distribution.draw_id,
+                distribution_id: distribution.id,
+                error,
+            });
+            result.pending++;
+            continue;
+        }
+
+        // Rows sent before submitted_at was recorded fall back to their other times
+        const sentAt = new Date(
+            distribution.submitted_at ||
+                distribution.transaction_datetime ||
+                distribution.updated_at,
+        ).getTime();
+        // A transfer with no usable send time has waited long enough
+        const overdue =
+            Number.isNaN(sentAt) || Date.now() - sentAt >= dropAfter;
+
+        if (transfer.status === "CONFIRMED") {
+            // Guarded on the hash so a transfer resent meanwhile is left alone
+            await pool.query(
+                `
+                UPDATE distributions
+                SET status = 'Confirmed', confirmed_at = $3, snapshot_ordinal = $4, snapshot_hash = $5,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND hash = $2 AND status = 'Submitted'
+            `,
+                [
+                    distribution.id,
+                    distribution.hash,
+                    transfer.timestamp
+                        ? new Date(transfer.timestamp)
+                        : new Date(),
+                    transfer.snapshotOrdinal,
+                    transfer.snapshotHash,
+                ],
+            );
+            payoutConfirmations.inc({ result: "confirmed" });
+            result.confirmed++;
+        } else if (transfer.status === "UNKNOWN" && overdue) {
+            logger.warn("Distribution was dropped by the network", {
+                draw_id: distribution.draw_id,
+                distribution_id: distribution.id,
+                hash: distribution.hash,
+            });
+            payoutConfirmations.inc({ result: "dropped" });
+            const { rowCount } = await pool.query(
+                `
+                UPDATE distributions
+                SET status = 'Failed', hash = NULL, error_message = $3, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND hash = $2 AND status = 'Submitted'
+            `,
+                [
+                    distribution.id,
+                    distribution.hash,
+                    `Dropped by the network, hash: ${distribution.hash}`,
+                ],
+            );
+            result.dropped++;
+
+            // Out of attempts, the retry job won't send it again
+            if (rowCount > 0 && distribution.retry >= MAX_ATTEMPTS) {
+                await announce(pool, "payout.failed", {
+                    ...describePayout(distribution),
+                    attempts: distribution.retry,
+                    error: `Dropped by the network, hash: ${distribution.hash}`,
+                });
+            }
+        } else {
+            result.pending++;
+        }
+    }
+
+    return result;
+}
+
+module.exports = { watchConfirmations };
@@ -0,0 +1,52 @@
+/**
+ * Database connection
+ *
+ * PostgreSQL pool built from the DB* / PG* variables, shared by the server and
+ * the command line scripts. Replit deployments connect over SSL.
+ */
+
+const { Pool } = require("pg");
+
+/**
+ * Creates a PostgreSQL pool
+ * @param {Object} env - Environment variables
+ * @param {Object} [credentials] - Role to connect as, defaults to DBUSER
+ * @param {string} [credentials.user] - Role name
+ * @param {string} [credentials.password] - Role password
+ * @returns {Pool} PostgreSQL pool
+ */
+function createPool(
+    env,
+    { user = env.DBUSER, password = env.DBUSERPASSWORD } = {},
+) {
+    return new Pool({
+        user,
+        host: env.PGHOST,
+        database: env.PGDATABASE,
+        password,
+        port: env.PGPORT || 5432, // Use PGPORT if available, otherwise default to 5432
+        ssl:
+            typeof env.REPL_ID === "undefined"
+                ? false
+                : {
+                      rejectUnauthorized: false,
+                  },
+    });
+}
+
+/**
+ * Creates the pool migrations run with: MIGRATION_DBUSER when the tables are
+ * owned by another role than the one the server runs as, DBUSER otherwise
+ * @param {Object} env - Environment variables
+ * @returns {Pool} PostgreSQL pool
+ */
+function createMigrationPool(env) {
+    return env.MIGRATION_DBUSER
+        ? createPool(env, {
+              user: env.MIGRATION_DBUSER,
+              password: env.MIGRATION_DBUSERPASSWORD,
+          })
+        : createPool(env);
+}
+
+module.exports = { createPool, createMigrationPool };
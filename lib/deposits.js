@@ -0,0 +1,187 @@
+/**
+ * Deposit ingestion
+ *
+ * Copies the transactions received by the deposit address into the deposits
+ * table so endpoints and prize calculation never have to page through the
+ * block explorer. The sync is incremental: the explorer lists the newest
+ * transactions first, so each pass reads pages until it reaches the newest
+ * hash stored by the previous pass. The cursor of an unfinished pass is kept
+ * in sync_state so an interrupted backfill resumes where it stopped.
+ */
+
+const { toDatum } = require("./amounts");
+const { logger } = require("./logger");
+const { depositsIngested } = require("./metrics");
+
+const SYNC_NAME = "deposits";
+const PAGE_SIZE = 50;
+
+// Only one sync may run at a time in this process
+let runningSync = null;
+
+/**
+ * Stores a page of transactions, ignoring hashes that are already known.
+ * Each deposit is tagged with the draw whose window contains its timestamp.
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Array} transactions - Transactions as returned by the network client
+ * @returns {number} Number of new deposits stored
+ */
+async function storeDeposits(pool, transactions) {
+    let inserted = 0;
+
+    for (const tx of transactions) {
+        const result = await pool.query(
+            `
+            INSERT INTO deposits (hash, source, destination, amount, fee, transaction_datetime, draw_id)
+            SELECT $1, $2, $3, $4, $5, $6::timestamptz,
+                   (SELECT id FROM draws
+                    WHERE $6::timestamptz BETWEEN date_start AND date_end
+                    ORDER BY draw_counter
+                    LIMIT 1)
+            ON CONFLICT (hash) DO NOTHING
+        `,
+            [
+                tx.hash,
+                tx.source,
+                tx.destination,
+                toDatum(tx.amount),
+                toDatum(tx.fee || 0),
+                tx.timestamp,
+            ],
+        );
+        inserted += result.rowCount;
+    }
+
+    return inserted;
+}
+
+/**
+ * Tags deposits that were stored before their draw existed
+ * @param {Object} pool - PostgreSQL pool
+ */
+async function tagUnassignedDeposits(pool) {
+    await pool.query(`
+        UPDATE deposits
+        SET draw_id = draws.id
+        FROM draws
+        WHERE deposits.draw_id IS NULL
+          AND deposits.transaction_datetime BETWEEN draws.date_start AND draws.date_end
+    `);
+}
+
+async function runSync(pool, network, address) {
+    const { rows } = await pool.query(
+        `SELECT head_hash, pass_head_hash, cursor FROM sync_state WHERE name = $1`,
+        [SYNC_NAME],
+    );
+    const state = rows[0] || {
+        head_hash: null,
+        pass_head_hash: null,
+        cursor: null,
+    };
+
+    // Resume an unfinished pass, otherwise start a new one from the newest transaction
+    let cursor = state.cursor;
+    let passHead = state.cursor ? state.pass_head_hash : null;
+    let inserted = 0;
+
+    do {
+        const page = await network.listReceivedTransactions(address, {
+            next: cursor,
+            limit: PAGE_SIZE,
+        });
+
+        if (!passHead && page.transactions.length > 0) {
+            passHead = page.transactions[0].hash;
+        }
+
+        const headIndex = state.head_hash
+            ? page.transactions.findIndex((tx) => tx.hash === state.head_hash)
+            : -1;
+        const newTransactions =
+            headIndex === -1
+                ? page.transactions
+                : page.transactions.slice(0, headIndex);
+
+        inserted += await storeDeposits(pool, newTransactions);
+
+        cursor = headIndex === -1 ? page.next : null;
+
+        await pool.query(
+            `
+            INSERT INTO sync_state (name, head_hash, pass_head_hash, cursor, updated_at)
+            VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+            ON CONFLICT (name) DO UPDATE
+            SET head_hash = EXCLUDED.head_hash,
+                pass_head_hash = EXCLUDED.pass_head_hash,
+                cursor = EXCLUDED.cursor,
+                updated_at = CURRENT_TIMESTAMP
+        `,
+            [
+                SYNC_NAME,
+                // The head only moves once the pass has reached the previous one
+                cursor ? state.head_hash : passHead || state.head_hash,
+                cursor ? passHead : null,
+                cursor,
+            ],
+        );
+    } while (cursor);
+
+    await tagUnassignedDeposits(pool);
+
+    if (inserted > 0) {
+        depositsIngested.inc(inserted);
+        logger.info("Deposit sync stored new deposits", { count: inserted });
+    }
+
+    return inserted;
+}
+
+/**
+ * Pulls new transactions received by the deposit address into the deposits table.
+ * Concurrent calls share the sync that is already running.
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} network - Network client
+ * @param {string} address - Deposit address
+ * @returns {number} Number of new deposits stored
+ */
+function syncDeposits(pool, network, address) {
+    if (!runningSync) {
+        runningSync = runSync(pool, network, address).finally(() => {
+            runningSync = null;
+        });
+    }
+    return runningSync;
+}
+
+/**
+ * Reads the deposits tagged with a draw
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} drawId - ID of the draw
+ * @param {Object} [options]
+ * @param {boolean} [options.committedOnly] - Only the deposits counted by the draw's participant commitment
+ * @returns {Array} Deposits shaped like block explorer transactions, amounts in datum (BigInt)
+ */
+async function fetchDrawDeposits(pool, drawId, { committedOnly = false } = {}) {
+    const { rows } = await pool.query(
+        `
+        SELECT hash, source, destination, amount, fee, transaction_datetime
+        FROM deposits
+        WHERE draw_id = $1
+          AND ($2 = false OR committed)
+        ORDER BY transaction_datetime DESC
+    `,
+        [drawId, committedOnly],
+    );
+
+    return rows.map((row) => ({
+        hash: row.hash,
+        source: row.source,
+        destination: row.destination,
+        amount: toDatum(row.amount),
+        fee: toDatum(row.fee),
+        timestamp: new Date(row.transaction_datetime).toISOString(),
+    }));
+}
+
+module.exports = { syncDeposits, fetchDrawDeposits };
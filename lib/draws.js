@@ -0,0 +1,170 @@
+/**
+ * Draw history
+ *
+ * Reads draws with their window, totals, winner, fairness values, participant
+ * count and every distribution with its hash and status, shaped the same for
+ * the API (routes/draws.js) and the command line. Amounts are BigInt datum.
+ * A draw's participants are the ones committed with it (see participants.js);
+ * before the commitment they are counted from its deposits, leaving out the
+ * senders that were on the blocklist as the draw ended, so later blocklist
+ * changes don't rewrite past draws.
+ */
+
+const toNumber = (value) => (value === null ? null : Number(value));
+
+/**
+ * Loads distributions and participant counts for a set of draws
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Array} draws - Rows of the draws table
+ * @param {number} minAmount - Minimum deposit (datum) to count as a participant
+ * @returns {Array} Draws shaped for the API
+ */
+async function withDetails(pool, draws, minAmount) {
+    const drawIds = draws.map((draw) => draw.id);
+
+    const { rows: distributions } = await pool.query(
+        `
+        SELECT id, draw_id, public_key, payout_type, prize, fee_paid, status, hash,
+               transaction_datetime, confirmed_at, snapshot_ordinal, retry, error_message
+        FROM distributions
+        WHERE draw_id = ANY($1)
+        ORDER BY id
+    `,
+        [drawIds],
+    );
+
+    const { rows: participants } = await pool.query(
+        `
+        SELECT p.draw_id, COUNT(*)::int AS participants
+        FROM draw_participants p
+        JOIN draws w ON w.id = p.draw_id
+        WHERE p.draw_id = ANY($1)
+          AND w.participants_committed_at IS NOT NULL
+        GROUP BY p.draw_id
+        UNION ALL
+        SELECT d.draw_id, COUNT(DISTINCT d.source)::int AS participants
+        FROM deposits d
+        JOIN draws w ON w.id = d.draw_id
+        WHERE d.draw_id = ANY($1)
+          AND w.participants_committed_at IS NULL
+          AND d.amount >= $2
+          AND NOT EXISTS (
+              SELECT 1 FROM blocklist b
+              WHERE b.public_key = d.source
+                AND b.created_at <= w.date_end
+                AND (b.expires_at IS NULL OR b.expires_at > w.date_end)
+          )
+        GROUP BY d.draw_id
+    `,
+        [drawIds, minAmount],
+    );
+
+    return draws.map((draw) => {
+        const count = participants.find((row) => row.draw_id === draw.id);
+
+        return {
+            round_number: draw.draw_counter,
+            status: draw.status,
+            start: draw.date_start.toISOString(),
+            end: draw.date_end.toISOString(),
+            total_collected: draw.total_collected,
+            fee: toNumber(draw.fee),
+            house_fee: draw.house_fee,
+            rounding_remainder: draw.rounding_remainder,
+            carried_over: draw.carried_over,
+            rolled_over_to: draw.rolled_over_to_round,
+            min_participants: draw.min_participants,
+            min_pool: draw.min_pool,
+            shortfall_action: draw.shortfall_action,
+            winner: draw.winner_public_key,
+            participants: count ? count.participants : 0,
+            distribution_strategy: draw.distribution_strategy,
+            distribution_options: draw.distribution_options || {},
+            seed_commitment: draw.seed_commitment,
+            seed_reveal: draw.seed_reveal,
+            chain_entropy: draw.chain_entropy,
+            winning_ticket: draw.winning_ticket,
+            participants_root: draw.participants_root,
+            distributions: distributions
+                .filter((row) => row.draw_id === draw.id)
+                .map((row) => ({
+                    id: row.id,
+                    public_key: row.public_key,
+                    payout_type: row.payout_type,
+                    prize: row.prize,
+                    fee_paid: row.fee_paid,
+                    status: row.status,
+                    hash: row.hash,
+                    transaction_datetime: row.transaction_datetime,
+                    confirmed_at: row.confirmed_at,
+                    snapshot_ordinal: row.snapshot_ordinal,
+                    retry: row.retry,
+                    error_message: row.error_message,
+                })),
+        };
+    });
+}
+
+/**
+ * Lists draws, most recent first
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} options
+ * @param {number} options.limit - Number of draws
+ * @param {number} [options.offset] - Draws skipped
+ * @param {string} [options.status] - Only draws in this status
+ * @param {number} options.minAmount - Minimum deposit (datum) to count as a participant
+ * @returns {Object} { draws, total }, total counting every draw in the status
+ */
+async function listDraws(
+    pool,
+    { limit, offset = 0, status = null, minAmount },
+) {
+    const { rows: totalRows } = await pool.query(
+        `SELECT COUNT(*)::int AS total FROM draws WHERE ($1::text IS NULL OR status = $1)`,
+        [status],
+    );
+    const { rows: draws } = await pool.query(
+        `
+        SELECT draws.*, next.draw_counter AS rolled_over_to_round
+        FROM draws
+        LEFT JOIN draws next ON next.id = draws.rolled_over_to
+        WHERE ($3::text IS NULL OR draws.status = $3)
+        ORDER BY draws.draw_counter DESC
+        LIMIT $1 OFFSET $2
+    `,
+        [limit, offset, status],
+    );
+
+    return {
+        draws: await withDetails(pool, draws, minAmount),
+        total: totalRows[0].total,
+    };
+}
+
+/**
+ * Reads one draw by its round number
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} counter - Round number
+ * @param {number} minAmount - Minimum deposit (datum) to count as a participant
+ * @returns {Object|null} The draw, null when there is no such round
+ */
+async function findDraw(pool, counter, minAmount) {
+    const { rows: draws } = await pool.query(
+        `
+        SELECT draws.*, next.draw_counter AS rolled_over_to_round
+        FROM draws
+        LEFT JOIN draws next ON next.id = draws.rolled_over_to
+        WHERE draws.draw_counter = $1
+    `,
+        [counter],
+    );
+
+    if (draws.length === 0) {
+        return null;
+    }
+
+    const [draw] = await withDetails(pool, draws, minAmount);
+    return draw;
+}
+
+module.exports = { listDraws, findDraw };
@@ -0,0 +1,265 @@
+/**
+ * Live feed
+ *
+ * Pushes what changes in the game to the browsers subscribed to /events, as
+ * Server-Sent Events. While someone listens, the feed reads the running round
+ * and the open draws every few seconds (or right away after a deposit sync),
+ * compares them with the previous read and sends:
+ *
+ * - snapshot     Full state, sent once to each new subscriber
+ * - deposit      A new eligible deposit in the running round
+ * - leaderboard  Amounts or ranks changed ({ leaderboard, changes })
+ * - pool         Total deposited, participant count or carried-over jackpot changed
+ * - draw         A draw changed status, e.g. Running -> Processing -> Done
+ *
+ * Changes are read from the database rather than announced by the code that
+ * makes them, so draws moved by the schedule or an operator show up alike.
+ */
+
+const { jsonReplacer } = require("./amounts");
+const { logger } = require("./logger");
+
+// Draws that can still change status
+const OPEN_STATUSES = ["Pending", "Running", "Processing"];
+
+/**
+ * Ranks the participants of a round by amount deposited
+ * @param {Array} transactions - Eligible deposits ({ source, amount } in datum)
+ * @returns {Array} Leaderboard ({ address, amount, rank })
+ */
+function rankParticipants(transactions) {
+    const totals = new Map();
+    for (const tx of transactions) {
+        totals.set(tx.source, (totals.get(tx.source) || 0n) + tx.amount);
+    }
+
+    return [...totals]
+        .sort((a, b) => (b[1] > a[1] ? 1 : b[1] < a[1] ? -1 : 0))
+        .map(([address, amount], index) => ({
+            address,
+            amount,
+            rank: index + 1,
+        }));
+}
+
+/**
+ * Writes one event to a subscriber
+ * @param {Object} res - Express response of the subscriber
+ * @param {string} event - Event name
+ * @param {Object} data - Payload, amounts in datum
+ */
+function send(res, event, data) {
+    res.write(
+        `event: ${event}\ndata: ${JSON.stringify(data, jsonReplacer)}\n\n`,
+    );
+}
+
+/**
+ * Creates the live feed
+ * @param {Object} deps
+ * @param {Object} deps.pool - PostgreSQL pool
+ * @param {Function} deps.loadRound - async () => { round_number, carried_over, transactions }
+ *   of the running draw (eligible deposits only), null when no draw runs
+ * @param {number} [deps.intervalMs] - Time between two reads while someone listens
+ * @returns {Object} { subscribe, refresh }
+ */
+function createLiveFeed({ pool, loadRound, intervalMs = 5000 }) {
+    const subscribers = new Set();
+    let state = null;
+    let timer = null;
+    let reading = null;
+
+    const publish = (event, data) => {
+        for (const res of subscribers) {
+            send(res, event, data);
+        }
+    };
+
+    /**
+     * Reads the running round and the open draws
+     * @returns {Object} Current state
+     */
+    async function read() {
+        const round = await loadRound();
+        const { rows: draws } = await pool.query(
+            `
+            SELECT draw_counter, status
+            FROM draws
+            WHERE status = ANY($1) OR draw_counter = ANY($2)
+        `,
+            [OPEN_STATUSES, state ? [...state.draws.keys()] : []],
+        );
+
+        const transactions = round ? round.transactions : [];
+
+        return {
+            round_number: round ? round.round_number : null,
+            deposits: transactions,
+            leaderboard: rankParticipants(transactions),
+            pool: {
+                round_number: round ? round.round_number : null,
+                total: transactions.reduce((sum, tx) => sum + tx.amount, 0n),
+                participants: new Set(transactions.map((tx) => tx.source)).size,
+                carried_over: round ? BigInt(round.carried_over || 0) : 0n,
+            },
+            draws: new Map(
+                draws.map((draw) => [draw.draw_counter, draw.status]),
+            ),
+        };
+    }
+
+    /**
+     * Publishes what changed between two reads
+     * @param {Object} previous - Previous state
+     * @param {Object} next - Current state
+     */
+    function publishChanges(previous, next) {
+        for (const [round_number, status] of next.draws) {
+            const before = previous.draws.get(round_number);
+            if (before && before !== status) {
+                publish("draw", { round_number, from: before, to: status });
+            }
+        }
+
+        const sameRound = previous.round_number === next.round_number;
+        const known = new Set(
+            sameRound ? previous.deposits.map((tx) => tx.hash) : [],
+        );
+        for (const tx of next.deposits) {
+            if (!known.has(tx.hash)) {
+                publish("deposit", {
+                    round_number: next.round_number,
+                    hash: tx.hash,
+                    source: tx.source,
+                    amount: tx.amount,
+                    timestamp: tx.timestamp,
+                });
+            }
+        }
+
+        const ranks = new Map(
+            (sameRound ? previous.leaderboard : []).map((entry) => [
+                entry.address,
+                entry,
+            ]),
+        );
+        const changes = next.leaderboard
+            .filter((entry) => {
+                const before = ranks.get(entry.address);
+                return (
+                    !before ||
+                    before.rank !== entry.rank ||
+                    before.amount !== entry.amount
+                );
+            })
+            .map((entry) => ({
+                address: entry.address,
+                from: ranks.has(entry.address)
+                    ? ranks.get(entry.address).rank
+                    : null,
+                to: entry.rank,
+            }));
+        if (
+            !sameRound ||
+            changes.length > 0 ||
+            next.leaderboard.length !== ranks.size
+        ) {
+            publish("leaderboard", {
+                round_number: next.round_number,
+                leaderboard: next.leaderboard,
+                changes,
+            });
+        }
+
+        const poolChanged = Object.keys(next.pool).some(
+            (key) => previous.pool[key] !== next.pool[key],
+        );
+        if (poolChanged) {
+            publish("pool", next.pool);
+        }
+    }
+
+    /**
+     * Reads the state now and publishes the changes, one read at a time
+     */
+    async function refresh() {
+        if (subscribers.size === 0) {
+            // Nobody listens, the next subscriber starts from a fresh read
+            state = null;
+            return;
+        }
+        if (reading) {
+            return reading;
+        }
+
+        reading = (async () => {
+            try {
+                const next = await read();
+                if (state) {
+                    publishChanges(state, next);
+                }
+                // Draws that reached a final status were announced, stop following them
+                for (const [round_number, status] of next.draws) {
+                    if (!OPEN_STATUSES.includes(status)) {
+                        next.draws.delete(round_number);
+                    }
+                }
+                state = next;
+            } catch (error) {
+                logger.error("Error refreshing the live feed", { error });
+            } finally {
+                reading = null;
+            }
+        })();
+
+        return reading;
+    }
+
+    /**
+     * Streams the feed to a client until it disconnects
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    async function subscribe(req, res) {
+        res.set({
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            Connection: "keep-alive",
+            // Keeps reverse proxies from buffering the stream
+            "X-Accel-Buffering": "no",
+        });
+        res.flushHeaders();
+        res.write("retry: 5000\n\n");
+
+        subscribers.add(res);
+        if (!timer) {
+            timer = setInterval(refresh, intervalMs);
+        }
+
+        // Proxies drop connections that stay silent for too long
+        const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+
+        req.on("close", () => {
+            clearInterval(heartbeat);
+            subscribers.delete(res);
+            if (subscribers.size === 0) {
+                clearInterval(timer);
+                timer = null;
+            }
+        });
+
+        await refresh();
+        if (state && subscribers.has(res)) {
+            send(res, "snapshot", {
+                round_number: state.round_number,
+                leaderboard: state.leaderboard,
+                pool: state.pool,
+                draws: Object.fromEntries(state.draws),
+            });
+        }
+    }
+
+    return { subscribe, refresh };
+}
+
+module.exports = { createLiveFeed };
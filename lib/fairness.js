@@ -0,0 +1,133 @@
+/**
+ * Provably fair winner selection
+ *
+ * When a draw starts a random seed is generated and only its SHA-256 hash
+ * (the commitment) is published. When the draw is finalized the seed is
+ * revealed and mixed with a chain value (the latest snapshot hash) that nobody
+ * could know while deposits were open; a draw isn't finalized without one.
+ *
+ * The winner is picked with odds proportional to the amount deposited:
+ *   1. participants are sorted by address and laid out on a line, each one
+ *      covering as many tickets as datum deposited
+ *   2. ticket = SHA-256(seed + ":" + chainValue) as an integer, modulo the total
+ *   3. the winner is the participant whose range contains the ticket
+ *
+ * Strategies that pay several winners draw the next ones the same way among
+ * the remaining participants, hashing seed + ":" + chainValue + ":" + index.
+ *
+ * Anyone holding the revealed seed, the chain value and the deposits of the
+ * draw can re-run selectWinner and check the published winner.
+ */
+
+const crypto = require("crypto");
+
+const sha256 = (value) =>
+    crypto.createHash("sha256").update(value).digest("hex");
+
+/**
+ * Generates a new secret seed
+ * @returns {string} 32 random bytes as hex
+ */
+function generateSeed() {
+    return crypto.randomBytes(32).toString("hex");
+}
+
+/**
+ * Computes the public commitment of a seed
+ * @param {string} seed - Secret seed
+ * @returns {string} SHA-256 hash of the seed as hex
+ */
+function commitSeed(seed) {
+    return sha256(seed);
+}
+
+function pickByTicket(participants, message) {
+    const ordered = [...participants].sort((a, b) =>
+        a.source < b.source ? -1 : a.source > b.source ? 1 : 0,
+    );
+    const totalAmount = ordered.reduce(
+        (sum, participant) => sum + BigInt(participant.amount),
+        0n,
+    );
+
+    if (totalAmount === 0n) {
+        throw new Error("Cannot select a winner without deposits");
+    }
+
+    const ticket = BigInt(`0x${sha256(message)}`) % totalAmount;
+
+    let upperBound = 0n;
+    const winner = ordered.find((participant) => {
+        upperBound += BigInt(participant.amount);
+        return ticket < upperBound;
+    });
+
+    return { winner, ticket: ticket.toString(), totalAmount };
+}
+
+/**
+ * Picks a winner with odds proportional to each participant's deposit
+ * @param {Array} participants - Grouped transactions ({ source, amount } in datum)
+ * @param {string} seed - Revealed seed
+ * @param {string} [chainValue] - Chain value mixed into the seed
+ * @returns {Object} { winner, ticket, totalAmount }, ticket as a decimal string
+ */
+function selectWinner(participants, seed, chainValue) {
+    return pickByTicket(participants, `${seed}:${chainValue || ""}`);
+}
+
+/**
+ * Picks several distinct winners, the first one being selectWinner's
+ * @param {Array} participants - Grouped transactions ({ source, amount } in datum)
+ * @param {string} seed - Revealed seed
+ * @param {string} [chainValue] - Chain value mixed into the seed
+ * @param {number} count - Number of winners wanted
+ * @returns {Array} Winners in order, fewer than count when participants run out
+ */
+function selectWinners(participants, seed, chainValue, count) {
+    const winners = [];
+    let remaining = participants;
+
+    while (winners.length < count && remaining.length > 0) {
+        const message =
+            winners.length === 0
+                ? `${seed}:${chainValue || ""}`
+                : `${seed}:${chainValue || ""}:${winners.length}`;
+        const { winner } = pickByTicket(remaining, message);
+
+        winners.push(winner);
+        remaining = remaining.filter((p) => p.source !== winner.source);
+    }
+
+    return winners;
+}
+
+/**
+ * Re-runs a published selection
+ * @param {Object} published - { commitment, seed, chainValue, ticket, winner }
+ * @param {Array} participants - Grouped transactions of the draw
+ * @returns {boolean} True when the seed matches its commitment and selects the same winner
+ */
+function verifySelection(
+    { commitment, seed, chainValue, ticket, winner },
+    participants,
+) {
+    if (commitSeed(seed) !== commitment) {
+        return false;
+    }
+
+    const selection = selectWinner(participants, seed, chainValue);
+
+    return (
+        selection.ticket === String(ticket) &&
+        selection.winner.source === winner
+    );
+}
+
+module.exports = {
+    generateSeed,
+    commitSeed,
+    selectWinner,
+    selectWinners,
+    verifySelection,
+};
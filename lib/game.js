@@ -0,0 +1,1116 @@
+/**
+ * Game
+ *
+ * What the server and the command line share: the database pool, the network
+ * client, and the steps of a draw's life (start, finalize, calculate and pay
+ * the prizes, retry the failed payouts). Nothing here schedules anything or
+ * listens on a port; index.js runs these steps on its cron schedule and cli.js
+ * runs one of them on demand.
+ */
+
+const {
+    createNetworkClient,
+    resolveNetworkProfile,
+    verifyWallet,
+    isValidDagAddress,
+} = require("./network");
+const { syncDeposits, fetchDrawDeposits } = require("./deposits");
+const {
+    generateSeed,
+    commitSeed,
+    selectWinner,
+    selectWinners,
+} = require("./fairness");
+const { getStrategy, buildPayoutPlan } = require("./strategies");
+const { getSetting } = require("./settings");
+const { fetchActiveBlocklist } = require("./blocklist");
+const { readScheduleConfig, ensureUpcomingDraws } = require("./schedule");
+const {
+    DATUM_PER_DAG,
+    toDatum,
+    dagToDatum,
+    jsonReplacer,
+} = require("./amounts");
+const {
+    fetchPayoutPlan,
+    recordPayoutPlan,
+    processPayouts,
+    markPaidDraws,
+} = require("./payouts");
+const { findShortfall, settleShortfall } = require("./shortfall");
+const {
+    refundAmount,
+    fetchUnrefundedDeposits,
+    queueRefunds,
+} = require("./refunds");
+const { reconcileTreasury, checkSolvency, queueSweep } = require("./treasury");
+const { createPool } = require("./db");
+const { logger } = require("./logger");
+const { instrumentNetworkClient } = require("./metrics");
+const { queueEvent, announce, checkWalletBalance } = require("./webhooks");
+const { createReportSigner } = require("./reports");
+const { commitParticipants } = require("./participants");
+
+// Constants
+const FEE = 0.05; // House fee, taken off the pool before the distribution strategy shares it out
+const MIN_DAG_TX_AMOUNT = 5n * DATUM_PER_DAG; // Minimum amount (datum) to be considered a transaction
+const DAG_TXN_FEE = 200000n; // Network fee (datum) paid on each distribution, 0.002 DAG
+
+/**
+ * Creates the game from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} Pool, network client and the draw lifecycle steps
+ */
+function createGame(env) {
+    const {
+        PRIVATE_KEY,
+        PUBLIC_KEY,
+        NETWORK_ADAPTER,
+        LOCAL_NETWORK_FILE,
+        LOCAL_NETWORK_CONFIRM_MS,
+        LOCAL_NETWORK_FAIL_RATE,
+        SWEEP_ADDRESS,
+        SWEEP_RESERVE,
+        LOW_BALANCE_DAG,
+        PAYOUT_DRY_RUN,
+    } = env;
+
+    const SWEEP_RESERVE_DATUM = dagToDatum(SWEEP_RESERVE || "0"); // House money left on the game wallet by a sweep
+    const LOW_BALANCE_DATUM = dagToDatum(LOW_BALANCE_DAG || "0"); // Spare balance under which the webhooks announce a low wallet
+
+    // Cadence used to keep future draws scheduled (DRAW_* variables)
+    const scheduleConfig = readScheduleConfig(env);
+
+    // Constellation cluster the game plays on (DAG_NETWORK, DAG_BE_URL, DAG_L0_URL, DAG_L1_URL)
+    const networkProfile = resolveNetworkProfile(env);
+
+    if (SWEEP_ADDRESS && !isValidDagAddress(SWEEP_ADDRESS)) {
+        throw new Error(
+            `SWEEP_ADDRESS '${SWEEP_ADDRESS}' is not a valid DAG address`,
+        );
+    }
+
+    // PostgreSQL database configuration (DBUSER, PGHOST, PGDATABASE, DBUSERPASSWORD, PGPORT)
+    const pool = createPool(env);
+
+    // Network client used for deposits, transfers and balances.
+    // NETWORK_ADAPTER=local swaps the Constellation cluster for an offline simulation.
+    // Its calls are timed and counted for /metrics.
+    const network = instrumentNetworkClient(
+        createNetworkClient(
+            NETWORK_ADAPTER,
+            NETWORK_ADAPTER === "local"
+                ? {
+                      address: PUBLIC_KEY,
+                      file: LOCAL_NETWORK_FILE,
+                      confirmAfterMs: parseInt(
+                          LOCAL_NETWORK_CONFIRM_MS || "0",
+                          10,
+                      ),
+                      failRate: parseFloat(LOCAL_NETWORK_FAIL_RATE || "0"),
+                  }
+                : {
+                      id: networkProfile.id,
+                      beUrl: networkProfile.beUrl,
+                      l0Url: networkProfile.l0Url,
+                      l1Url: networkProfile.l1Url,
+                      privateKey: PRIVATE_KEY,
+                  },
+        ),
+    );
+    // The simulated network has no profile, its wallet is bound to "local"
+    const networkName =
+        network.name === "local" ? "local" : networkProfile.name;
+    logger.info("Using the network client", {
+        client: network.name,
+        network: networkName,
+    });
+
+    // Signs the draw audit reports, which are served unsigned without PRIVATE_KEY
+    const reportSigner = createReportSigner(PRIVATE_KEY);
+
+    if (PAYOUT_DRY_RUN === "true") {
+        logger.warn(
+            "PAYOUT_DRY_RUN is set, prizes are only previewed unless a dry run is explicitly turned off",
+        );
+    }
+
+    /**
+     * Reads the running round with its eligible deposits
+     * @returns {Object|null} { round_number, carried_over, transactions }, null when no draw runs
+     */
+    async function loadRunningRound() {
+        const { rows } = await pool.query(`
+            SELECT draw_counter, carried_over FROM draws WHERE status = 'Running' LIMIT 1
+        `);
+
+        if (rows.length === 0) {
+            return null;
+        }
+
+        const { filteredTransactions } = await fetchAllTransactions("Running");
+        return {
+            round_number: rows[0].draw_counter,
+            carried_over: rows[0].carried_over,
+            transactions: filteredTransactions,
+        };
+    }
+
+    /**
+     * Works out what calculatePrizes would do with a processing draw without
+     * doing it: no transfer is sent, nothing is written to the draw or the
+     * ledger. The preview is stored in payout_previews.
+     * @param {number} [drawCounter] - Round to preview, defaults to the oldest processing draw
+     * @param {Object} [options]
+     * @param {string} [options.requestedBy] - Who asked for it, e.g. an operator
+     * @returns {Object} Eligible deposits, participants, winners, fees and every transfer, undefined when no draw is processing
+     */
+    const previewPrizes = async (drawCounter, { requestedBy = null } = {}) => {
+        // Make sure the last deposits of the draw are stored before reading them
+        await syncDeposits(pool, network, PUBLIC_KEY);
+
+        const { filteredTransactions, draw_id } = await fetchAllTransactions(
+            "Processing",
+            drawCounter,
+        );
+
+        if (!draw_id) {
+            logger.error("No draw waiting for its prizes");
+            return;
+        }
+
+        const amountsBySource = groupTransactionsBySource(filteredTransactions);
+        const draw = await fetchDrawSettings(draw_id);
+        const recorded = await fetchPayoutPlan(pool, draw_id);
+        const preview = {
+            dry_run: true,
+            draw_id,
+            round_number: draw.draw_counter,
+            strategy: draw.distribution_strategy,
+            options: draw.distribution_options || {},
+            fee: FEE,
+            deposits: filteredTransactions,
+            participants: amountsBySource,
+            carried_over: toDatum(draw.carried_over),
+        };
+
+        if (recorded.length > 0) {
+            // A real run already chose the winners, only what is left to send can change
+            preview.plan_recorded = true;
+            preview.winner = draw.winner_public_key;
+            preview.total_collected = toDatum(draw.total_collected);
+            preview.transfers = recorded
+                .filter((row) => ["Planned", "Failed"].includes(row.status))
+                .map((row) => ({
+                    distribution_id: row.id,
+                    receiver: row.public_key,
+                    type: row.payout_type,
+                    amount: toDatum(row.prize),
+                    fee: toDatum(row.fee_paid),
+                    status: row.status,
+                }));
+        } else {
+            const shortfall = findShortfall(draw, amountsBySource);
+
+            if (shortfall) {
+                // What settleShortfall would do instead of paying
+                const refunds =
+                    draw.shortfall_action === "rollover"
+                        ? []
+                        : await fetchUnrefundedDeposits(pool, draw_id);
+
+                preview.shortfall = shortfall;
+                preview.shortfall_action = draw.shortfall_action;
+                preview.transfers = refunds
+                    .filter(
+                        (deposit) => refundAmount(deposit, DAG_TXN_FEE) > 0n,
+                    )
+                    .map((deposit) => ({
+                        receiver: deposit.source,
+                        type: `refund-${deposit.id}`,
+                        amount: refundAmount(deposit, DAG_TXN_FEE),
+                        fee: DAG_TXN_FEE,
+                    }));
+            } else {
+                const strategy = getStrategy(draw.distribution_strategy);
+                const selection = findWinnerAndTotal(
+                    amountsBySource,
+                    draw,
+                    strategy.winners(draw.distribution_options || {}),
+                );
+                const { payouts, houseFee, prizePool, remainder } =
+                    buildPayoutPlan({
+                        strategy: draw.distribution_strategy,
+                        options: draw.distribution_options,
+                        fee: FEE,
+                        participants: amountsBySource,
+                        winners: selection.winners,
+                        carriedOver: toDatum(draw.carried_over),
+                    });
+
+                preview.winner = selection.winnerTransaction.source;
+                preview.ticket = selection.ticket;
+                preview.winners = selection.winners.map((tx) => tx.source);
+                preview.total_collected = selection.totalAmount;
+                preview.prize_pool = prizePool;
+                preview.house_fee = houseFee;
+                preview.rounding_remainder = remainder;
+                preview.network_fees = DAG_TXN_FEE * BigInt(payouts.length);
+                preview.transfers = payouts.map((payout) => ({
+                    receiver: payout.receiver,
+                    type: payout.type,
+                    amount: payout.amount,
+                    fee: DAG_TXN_FEE,
+                }));
+            }
+        }
+
+        preview.total_sent = preview.transfers.reduce(
+            (sum, transfer) => sum + transfer.amount + transfer.fee,
+            0n,
+        );
+
+        // Whether the wallet would cover it, on top of what it already owes
+        try {
+            const solvency = await checkSolvency(pool, network, PUBLIC_KEY);
+            const needed =
+                solvency.owed +
+                (preview.plan_recorded ? 0n : preview.total_sent);
+            preview.wallet = {
+                balance: solvency.wallet_balance,
+                needed,
+                covered: solvency.wallet_balance >= needed,
+            };
+        } catch (error) {
+            preview.wallet = { error: error.message };
+        }
+
+        const { rows } = await pool.query(
+            `
+            INSERT INTO payout_previews (draw_id, preview, requested_by)
+            VALUES ($1, $2, $3)
+            RETURNING id, created_at
+        `,
+            [draw_id, JSON.stringify(preview, jsonReplacer), requestedBy],
+        );
+
+        logger.info("Previewed the prizes of the draw", {
+            draw_id,
+            preview_id: rows[0].id,
+            transfers: preview.transfers.length,
+            total_sent: preview.total_sent,
+        });
+
+        return {
+            preview_id: rows[0].id,
+            created_at: rows[0].created_at,
+            ...preview,
+        };
+    };
+
+    /**
+     * Calculates and distributes prizes for a processing draw
+     * @param {number} [drawCounter] - Round to pay, defaults to the oldest processing draw
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun] - Only preview the payout (see previewPrizes), defaults to PAYOUT_DRY_RUN=true
+     * @param {string} [options.requestedBy] - Who asked for it, kept with a preview
+     * @returns {Object} Total, winner and payout plan, undefined when there is nothing to pay
+     */
+    const calculatePrizes = async (
+        drawCounter,
+        { dryRun = PAYOUT_DRY_RUN === "true", requestedBy = null } = {},
+    ) => {
+        if (dryRun) {
+            return previewPrizes(drawCounter, { requestedBy });
+        }
+
+        try {
+            // Make sure the last deposits of the draw are stored before reading them
+            await syncDeposits(pool, network, PUBLIC_KEY);
+
+            // Fetch and process transactions
+            const { filteredTransactions, draw_id } =
+                await fetchAllTransactions("Processing", drawCounter);
+
+            if (!draw_id) {
+                logger.error("No draw waiting for its prizes");
+                return;
+            }
+
+            const amountsBySource =
+                groupTransactionsBySource(filteredTransactions);
+            const draw = await fetchDrawSettings(draw_id);
+            let plan = await fetchPayoutPlan(pool, draw_id);
+            let totalAmount;
+            let winner;
+
+            // A draw closed before participants were committed is committed now,
+            // so the proofs cover exactly who the plan is made for
+            if (plan.length === 0 && draw.participants_committed_at === null) {
+                await commitClosedDraw(
+                    draw_id,
+                    amountsBySource,
+                    filteredTransactions,
+                );
+            }
+
+            // A draw without a plan yet must reach its minimums to be played
+            const shortfall =
+                plan.length === 0 ? findShortfall(draw, amountsBySource) : null;
+
+            if (shortfall) {
+                const settlement = await settleShortfall(pool, {
+                    draw,
+                    participants: amountsBySource,
+                    networkFee: DAG_TXN_FEE,
+                });
+
+                logger.warn("Draw fell short of its minimums", {
+                    draw_id,
+                    shortfall,
+                    status: settlement.status,
+                });
+                return { shortfall, ...settlement };
+            }
+
+            if (plan.length === 0) {
+                // Calculate prizes
+                const strategy = getStrategy(draw.distribution_strategy);
+                const selection = findWinnerAndTotal(
+                    amountsBySource,
+                    draw,
+                    strategy.winners(draw.distribution_options || {}),
+                );
+
+                // Turn the pool into the list of transfers to send
+                const { payouts, houseFee, remainder } = buildPayoutPlan({
+                    strategy: draw.distribution_strategy,
+                    options: draw.distribution_options,
+                    fee: FEE,
+                    participants: amountsBySource,
+                    winners: selection.winners,
+                    carriedOver: toDatum(draw.carried_over),
+                });
+
+                // Persist the selection and the plan before sending anything
+                plan = await recordPayoutPlan(pool, {
+                    drawId: draw_id,
+                    payouts,
+                    networkFee: DAG_TXN_FEE,
+                    totalAmount: selection.totalAmount,
+                    feeRate: FEE,
+                    houseFee,
+                    remainder,
+                    winner: selection.winnerTransaction.source,
+                    ticket: selection.ticket,
+                });
+                totalAmount = selection.totalAmount;
+                winner = selection.winnerTransaction;
+
+                await announce(pool, "draw.winner_selected", {
+                    draw_id,
+                    round_number: draw.draw_counter,
+                    winner: selection.winnerTransaction.source,
+                    ticket: selection.ticket,
+                    total_collected: selection.totalAmount,
+                    strategy: draw.distribution_strategy,
+                    payouts: plan.map((row) => ({
+                        receiver: row.public_key,
+                        amount: toDatum(row.prize),
+                        type: row.payout_type,
+                    })),
+                });
+
+                // The deposits left out of the plan go back to their senders
+                await queueRefunds(pool, {
+                    minAmount: MIN_DAG_TX_AMOUNT,
+                    networkFee: DAG_TXN_FEE,
+                });
+            } else {
+                logger.info("Resuming the payouts of the draw", { draw_id });
+                totalAmount = toDatum(draw.total_collected);
+                winner = amountsBySource.find(
+                    (tx) => tx.source === draw.winner_public_key,
+                );
+            }
+
+            // Send whatever the ledger still has to pay, once the wallet is known to cover it
+            const { submitted, failed } = await processPayouts(pool, network, {
+                fromAddress: PUBLIC_KEY,
+                drawId: draw_id,
+            }).finally(watchWalletBalance);
+
+            if (submitted === 0 && failed === 0) {
+                logger.warn("No transactions was sent", { draw_id });
+            }
+
+            await markPaidDraws(pool);
+
+            return {
+                totalAmount,
+                winner,
+                strategy: draw.distribution_strategy,
+                payouts: plan.map((row) => ({
+                    receiver: row.public_key,
+                    amount: toDatum(row.prize),
+                    type: row.payout_type,
+                })),
+            };
+        } catch (error) {
+            logger.error("Error processing prizes", { error });
+            throw new Error(`Failed to calculate prizes: ${error.message}`);
+        }
+    };
+
+    /**
+     * Sends the payouts that failed or were interrupted again
+     * @returns {Object} { submitted, failed } counts
+     */
+    const retry = async () => {
+        try {
+            const result = await processPayouts(pool, network, {
+                fromAddress: PUBLIC_KEY,
+                retryFailed: true,
+            }).finally(watchWalletBalance);
+            await markPaidDraws(pool);
+
+            if (result.submitted === 0 && result.failed === 0) {
+                logger.info("No pending distributions found for retry.");
+            }
+
+            return result;
+        } catch (error) {
+            logger.error("Error running the retry functions", { error });
+            throw error;
+        }
+    };
+
+    /**
+     * Announces a low wallet balance to the webhook subscribers, logging instead of
+     * throwing since it only reports on the payouts
+     */
+    const watchWalletBalance = async () => {
+        try {
+            await checkWalletBalance(pool, network, {
+                address: PUBLIC_KEY,
+                threshold: LOW_BALANCE_DATUM,
+            });
+        } catch (error) {
+            logger.error("Error checking the wallet balance", { error });
+        }
+    };
+
+    /**
+     * Compares the game wallet balance with its liabilities and the house balance
+     * @returns {Object} Reconciliation report
+     */
+    const checkTreasury = async () =>
+        reconcileTreasury(pool, network, PUBLIC_KEY);
+
+    /**
+     * Sends the house's surplus to the cold wallet (SWEEP_ADDRESS)
+     * @returns {Object|null} The sweep, null when there is no surplus
+     */
+    const sweepTreasury = async () => {
+        if (!SWEEP_ADDRESS) {
+            throw new Error(
+                "SWEEP_ADDRESS is not set, there is nowhere to sweep",
+            );
+        }
+
+        const sweep = await queueSweep(pool, network, {
+            fromAddress: PUBLIC_KEY,
+            toAddress: SWEEP_ADDRESS,
+            reserve: SWEEP_RESERVE_DATUM,
+            networkFee: DAG_TXN_FEE,
+        });
+
+        if (sweep) {
+            await processPayouts(pool, network, { fromAddress: PUBLIC_KEY });
+        }
+
+        return sweep;
+    };
+
+    /**
+     * Moves the running draw to 'Processing' and reveals its seed with the chain
+     * entropy. The draw stays 'Running' when the latest snapshot can't be read or
+     * its seed was only committed now, so a later run finalizes it.
+     * @param {Object} [options]
+     * @param {boolean} [options.force] - Finalize even if the draw hasn't reached its end date
+     * @returns {Object} Round number of the finalized draw
+     */
+    const finalizeDraw = async ({ force = false } = {}) => {
+        // The participants are committed from the stored deposits, bring them up to date
+        await syncDeposits(pool, network, PUBLIC_KEY).catch((error) =>
+            logger.warn(
+                "Could not sync the deposits, committing the participants stored so far",
+                { error },
+            ),
+        );
+
+        const client = await pool.connect();
+        try {
+            await client.query("BEGIN");
+
+            // get the running draw
+            const { rows: drawDaily } = await client.query(`
+                SELECT 
+                    id AS draw_id,
+                    date_start,
+                    date_end,
+                    draw_counter
+                FROM draws
+                WHERE status = 'Running'
+                LIMIT 1
+            `);
+
+            if (drawDaily.length === 0) {
+                throw new Error("There is no running draw to finalize");
+            }
+
+            const { date_start, date_end, draw_id, draw_counter } =
+                drawDaily[0];
+
+            // Deposits count until the last second of the window, not its calendar day
+            if (force || new Date(date_end) <= new Date()) {
+                // A draw started before seeds were committed gets one now, but a seed
+                // is only revealed once its commitment was published beforehand
+                if (await ensureDrawSeed(client, draw_id)) {
+                    await client.query("COMMIT");
+                    throw new Error(
+                        `Draw ${draw_id} had no seed commitment, one was committed now and is revealed by the next finalize`,
+                    );
+                }
+
+                // The snapshot hash is unknown to anyone until the deposits are closed,
+                // without it the operator's seed alone would pick the winner
+                let chainEntropy;
+                try {
+                    ({ hash: chainEntropy } =
+                        await network.getLatestSnapshot());
+                } catch (error) {
+                    throw new Error(
+                        `Could not fetch the latest snapshot for the chain entropy, the draw stays Running: ${error.message}`,
+                    );
+                }
+
+                if (!chainEntropy) {
+                    throw new Error(
+                        "The latest snapshot has no hash for the chain entropy, the draw stays Running",
+                    );
+                }
+
+                // Reveal the seed committed when the draw started
+                const { rows: finalized } = await client.query(
+                    `
+                    UPDATE draws
+                    SET status = 'Processing',
+                        seed_reveal = (SELECT seed FROM draw_seeds WHERE draw_id = $1),
+                        chain_entropy = $2,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $1
+                    RETURNING seed_commitment, seed_reveal
+                `,
+                    [draw_id, chainEntropy],
+                );
+
+                // Publish who took part and for how much (see lib/merkle.js)
+                const eligible = filterTransactions(
+                    await fetchDrawDeposits(client, draw_id),
+                    date_start,
+                    date_end,
+                    await fetchActiveBlocklist(client),
+                );
+                const participants = groupTransactionsBySource(eligible);
+                const { root: participantsRoot } = await commitParticipants(
+                    client,
+                    draw_id,
+                    participants,
+                    eligible.map((tx) => tx.hash),
+                );
+
+                await queueEvent(client, "draw.finalized", {
+                    draw_id,
+                    round_number: draw_counter,
+                    date_start,
+                    date_end,
+                    seed_commitment: finalized[0].seed_commitment,
+                    seed_reveal: finalized[0].seed_reveal,
+                    chain_entropy: chainEntropy,
+                    participants_root: participantsRoot,
+                    participants: participants.length,
+                });
+            } else {
+                await client.query("ROLLBACK");
+                throw new Error(
+                    `Draw ${draw_counter} ends at ${new Date(date_end).toISOString()}, it can't be finalized yet`,
+                );
+            }
+
+            await client.query("COMMIT");
+
+            return { round_number: draw_counter };
+        } catch (error) {
+            await client.query("ROLLBACK");
+            logger.error("Error running the finalizeDraw function", { error });
+            throw error;
+        } finally {
+            client.release();
+        }
+    };
+
+    /**
+     * Moves the next pending draw to 'Running' and commits its seed
+     * @returns {Object} Round number of the started draw
+     */
+    const startNewDraw = async () => {
+        // Get a client from the connection pool
+        const client = await pool.connect();
+        try {
+            // Start a database transaction
+            await client.query("BEGIN");
+
+            // Query to get the next draw to run
+            // 1. Selects draws with 'Pending' status
+            // 2. Checks if the draw hasn't ended yet
+            // 3. Orders by start date so the earliest scheduled draw runs first
+            // 4. Limits to 1 result to get only the next draw
+            const { rows: nextDraw } = await client.query(
+                `
+                SELECT 
+                    id AS draw_id,
+                    date_start,
+                    date_end,
+                    draw_counter,
+                    status
+                FROM draws
+                WHERE status = 'Pending'
+                  AND date_end > CURRENT_TIMESTAMP
+                ORDER BY date_start, draw_counter
+                LIMIT 1
+            `,
+            );
+
+            // Check if a valid draw was found
+            if (nextDraw.length > 0) {
+                // Update the status of the found draw to 'Running'
+                await client.query(
+                    `
+                    UPDATE draws
+                    SET status = 'Running',
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE draw_counter = $1
+                `,
+                    [nextDraw[0].draw_counter],
+                );
+
+                // Publish the commitment of the seed that will pick the winner
+                await ensureDrawSeed(client, nextDraw[0].draw_id);
+
+                const { rows: started } = await client.query(
+                    `SELECT seed_commitment FROM draws WHERE id = $1`,
+                    [nextDraw[0].draw_id],
+                );
+                await queueEvent(client, "draw.started", {
+                    draw_id: nextDraw[0].draw_id,
+                    round_number: nextDraw[0].draw_counter,
+                    date_start: nextDraw[0].date_start,
+                    date_end: nextDraw[0].date_end,
+                    seed_commitment: started[0].seed_commitment,
+                });
+            } else {
+                // If no valid draw was found, rollback the transaction
+                await client.query("ROLLBACK");
+                // Throw an error to indicate that no valid draws were found
+                throw new Error("There are no valid draws to run next");
+            }
+
+            // If everything was successful, commit the transaction
+            await client.query("COMMIT");
+
+            return { round_number: nextDraw[0].draw_counter };
+        } catch (error) {
+            await client.query("ROLLBACK");
+            // Log any errors that occur during the process
+            // Note: This catch block will handle both database errors
+            // and the error thrown when no valid draws are found
+            logger.error("Error running the startNewDraw function", { error });
+            throw error;
+        } finally {
+            // Always release the client back to the pool,
+            // regardless of whether the operation was successful or not
+            client.release();
+        }
+    };
+
+    /**
+     * Creates the secret seed of a draw and stores its commitment on the draws row.
+     * Does nothing when the draw already has a seed.
+     * @param {Object} client - Database client (inside the caller's transaction)
+     * @param {number} drawId - ID of the draw
+     * @returns {boolean} True when the seed was created by this call
+     */
+    async function ensureDrawSeed(client, drawId) {
+        const { rows } = await client.query(
+            `SELECT seed FROM draw_seeds WHERE draw_id = $1`,
+            [drawId],
+        );
+
+        if (rows.length > 0) {
+            return false;
+        }
+
+        const seed = generateSeed();
+
+        await client.query(
+            `INSERT INTO draw_seeds (draw_id, seed) VALUES ($1, $2)`,
+            [drawId, seed],
+        );
+        await client.query(
+            `UPDATE draws SET seed_commitment = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+            [drawId, commitSeed(seed)],
+        );
+
+        return true;
+    }
+
+    /**
+     * Commits the participants of a draw finalized before participants were
+     * committed, from its deposits, before its payout plan is made
+     * @param {number} drawId - ID of the draw
+     * @param {Array} participants - Grouped transactions of the draw
+     * @param {Array} transactions - Deposits the participants were grouped from
+     */
+    async function commitClosedDraw(drawId, participants, transactions) {
+        const client = await pool.connect();
+        try {
+            await client.query("BEGIN");
+            const { root } = await commitParticipants(
+                client,
+                drawId,
+                participants,
+                transactions.map((tx) => tx.hash),
+            );
+            await client.query("COMMIT");
+
+            logger.info("Committed the participants of a closed draw", {
+                draw_id: drawId,
+                root,
+            });
+        } catch (error) {
+            await client.query("ROLLBACK");
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Commits a seed for running draws that don't have one yet,
+     * e.g. the first draw started by setup.sql
+     */
+    async function commitRunningDraws() {
+        const { rows } = await pool.query(`
+            SELECT id AS draw_id
+            FROM draws
+            WHERE status = 'Running'
+              AND seed_commitment IS NULL
+        `);
+
+        for (const { draw_id } of rows) {
+            await ensureDrawSeed(pool, draw_id);
+            logger.info("Committed the seed of the running draw", { draw_id });
+        }
+    }
+
+    /**
+     * Fetches the current active draw from the database
+     * @returns {Object} Draw information
+     */
+    async function fetchCurrentDraw() {
+        const result = await pool.query(`
+            SELECT 
+                id AS draw_id,
+                date_start,
+                date_end,
+                draw_counter
+            FROM draws
+            WHERE status = 'Running'
+            LIMIT 1
+        `);
+
+        if (result.rows.length === 0) {
+            throw new Error("No available draw found");
+        }
+
+        return result.rows[0];
+    }
+
+    /**
+     * Fetches a draw waiting for its prizes from the database
+     * @param {number} [drawCounter] - Round to fetch, defaults to the oldest processing draw
+     * @returns {Object} Draw information
+     */
+    async function fetchProcessingDraw(drawCounter) {
+        try {
+            const result = await pool.query(
+                `
+                SELECT 
+                    id AS draw_id,
+                    date_start,
+                    date_end,
+                    draw_counter,
+                    participants_committed_at
+                FROM draws
+                WHERE status = 'Processing'
+                  AND ($1::int IS NULL OR draw_counter = $1)
+                ORDER BY draw_counter ASC
+                LIMIT 1
+            `,
+                [drawCounter || null],
+            );
+
+            if (result.rows.length === 0) {
+                throw new Error("No available draw found");
+            }
+
+            return result.rows[0];
+        } catch (error) {
+            logger.error("fetchProcessingDraw", { error });
+        }
+    }
+
+    /**
+     * Fetches the values needed to select the winners and pay a draw
+     * @param {number} drawId - ID of the draw
+     * @returns {Object} Draw id, round number, commitment, revealed seed, chain entropy, distribution strategy, minimums and recorded results
+     */
+    async function fetchDrawSettings(drawId) {
+        const result = await pool.query(
+            `
+            SELECT 
+                id AS draw_id,
+                draw_counter,
+                seed_commitment,
+                seed_reveal,
+                chain_entropy,
+                distribution_strategy,
+                distribution_options,
+                min_participants,
+                min_pool,
+                shortfall_action,
+                carried_over,
+                total_collected,
+                winner_public_key,
+                participants_committed_at
+            FROM draws
+            WHERE id = $1
+        `,
+            [drawId],
+        );
+
+        return result.rows[0];
+    }
+
+    /**
+     * Reads the deposits stored for a draw and keeps the eligible ones
+     * @param {string} drawStatus - 'Running' or 'Processing'
+     * @param {number} [drawCounter] - Processing round to read, defaults to the oldest one
+     * @returns {Object} Filtered transactions and the draw id
+     */
+    async function fetchAllTransactions(drawStatus, drawCounter) {
+        // Choose the correct function based on the drawStatus parameter
+        let drawResult;
+
+        if (drawStatus === "Running") {
+            drawResult = await fetchCurrentDraw();
+        } else if (drawStatus === "Processing") {
+            drawResult = await fetchProcessingDraw(drawCounter);
+        } else {
+            throw new Error(
+                "Invalid draw status provided. Use 'Running' or 'Processing'.",
+            );
+        }
+
+        if (
+            typeof drawResult === "undefined" ||
+            !drawResult ||
+            drawResult.draw_id === 0
+        ) {
+            logger.warn("No available drawResult found", {
+                status: drawStatus,
+            });
+            return { filteredTransactions: [], draw_id: null };
+        }
+
+        const { date_start, date_end, draw_id } = drawResult;
+
+        // A closed draw is played with the deposits it committed, whatever the
+        // blocklist says since and whatever was synced afterwards
+        const filteredTransactions = drawResult.participants_committed_at
+            ? await fetchDrawDeposits(pool, draw_id, { committedOnly: true })
+            : filterTransactions(
+                  await fetchDrawDeposits(pool, draw_id),
+                  date_start,
+                  date_end,
+                  await fetchActiveBlocklist(pool),
+              );
+
+        return { filteredTransactions, draw_id };
+    }
+
+    /**
+     * Filters transactions based on a date range, minimum amount and blocklist
+     * @param {Array} transactions - Array of transactions to filter
+     * @param {Date} startDate - Start date of the range
+     * @param {Date} endDate - End date of the range
+     * @param {Array} blocklist - Addresses whose transactions are excluded
+     * @returns {Array} Filtered transactions
+     */
+    function filterTransactions(transactions, startDate, endDate, blocklist) {
+        return transactions.filter((tx) => {
+            const txDate = new Date(tx.timestamp);
+            const isWithinDateRange = txDate >= startDate && txDate <= endDate;
+            const isAboveMinAmount = tx.amount >= MIN_DAG_TX_AMOUNT;
+
+            // Check if the tx.source is not in the blocklist
+            const isNotIgnoredSource = !blocklist.includes(tx.source);
+
+            // Only include transactions that meet all criteria
+            return isWithinDateRange && isAboveMinAmount && isNotIgnoredSource;
+        });
+    }
+
+    /**
+     * Groups transactions by source address and sums amounts
+     * @param {Array} transactions - Array of transactions
+     * @returns {Array} Grouped transactions, amounts in datum (BigInt)
+     */
+    function groupTransactionsBySource(transactions) {
+        const groupedTransactions = transactions.reduce((acc, transaction) => {
+            const { source, amount } = transaction;
+            if (!acc[source]) {
+                acc[source] = 0n;
+            }
+            acc[source] += amount;
+            return acc;
+        }, {});
+
+        return Object.entries(groupedTransactions).map(([source, amount]) => ({
+            source,
+            amount,
+        }));
+    }
+
+    /**
+     * Picks the winners with the draw's revealed seed and calculates total amount
+     * @param {Array} transactions - Array of grouped transactions
+     * @param {Object} draw - Draw with its revealed seed and chain entropy
+     * @param {number} winnerCount - Number of winners the distribution strategy needs
+     * @returns {Object} Winner transaction, all winners in order, total amount and winning ticket
+     */
+    function findWinnerAndTotal(transactions, draw, winnerCount) {
+        if (!draw.seed_reveal) {
+            throw new Error(
+                `Draw ${draw.draw_id} has no revealed seed to select a winner`,
+            );
+        }
+
+        const { winner, ticket } = selectWinner(
+            transactions,
+            draw.seed_reveal,
+            draw.chain_entropy,
+        );
+        const winners = selectWinners(
+            transactions,
+            draw.seed_reveal,
+            draw.chain_entropy,
+            winnerCount,
+        );
+        const totalAmount = transactions.reduce(
+            (sum, tx) => sum + tx.amount,
+            0n,
+        );
+
+        logger.info("Selected the winners", {
+            draw_id: draw.draw_id,
+            total: totalAmount,
+            winners: winners.length,
+        });
+        return { winnerTransaction: winner, winners, totalAmount, ticket };
+    }
+
+    /**
+     * Whether an operator paused the scheduled draw and retry jobs
+     * @returns {boolean} True when paused
+     */
+    async function isSchedulePaused() {
+        try {
+            return await getSetting(pool, "schedule_paused", false);
+        } catch (error) {
+            logger.error("Error reading the schedule state", { error });
+            return false;
+        }
+    }
+
+    /**
+     * Fills the schedule and makes sure a draw is open when the server starts,
+     * e.g. on a fresh database or after a long downtime
+     */
+    async function prepareDraws() {
+        await ensureUpcomingDraws(pool, scheduleConfig);
+
+        const { rows } = await pool.query(`
+            SELECT 1 FROM draws WHERE status = 'Running' LIMIT 1
+        `);
+
+        if (rows.length === 0) {
+            await startNewDraw();
+        }
+
+        await commitRunningDraws();
+    }
+
+    /**
+     * Refuses to run with a wallet that doesn't match PUBLIC_KEY, or that isn't
+     * the one this database was first run with on the network profile
+     */
+    async function checkWallet() {
+        if (network.name !== "local" && !PRIVATE_KEY) {
+            throw new Error("PRIVATE_KEY is not set");
+        }
+
+        await verifyWallet(pool, {
+            network: networkName,
+            address: PUBLIC_KEY,
+            // The simulated network signs nothing, it has no key to check
+            privateKey: network.name === "local" ? null : PRIVATE_KEY,
+        });
+    }
+    return {
+        pool,
+        network,
+        networkName,
+        networkProfile,
+        scheduleConfig,
+        address: PUBLIC_KEY,
+        reportSigner,
+        loadRunningRound,
+        fetchAllTransactions,
+        groupTransactionsBySource,
+        fetchDrawSettings,
+        finalizeDraw,
+        startNewDraw,
+        previewPrizes,
+        calculatePrizes,
+        retry,
+        checkTreasury,
+        sweepTreasury,
+        isSchedulePaused,
+        prepareDraws,
+        checkWallet,
+    };
+}
+
+module.exports = { FEE, MIN_DAG_TX_AMOUNT, DAG_TXN_FEE, createGame };
@@ -0,0 +1,179 @@
+/**
+ * Health checks
+ *
+ * Reports whether the game can do its job, one check per dependency or risk:
+ *
+ * - database          PostgreSQL answers
+ * - block_explorer    The explorer serves its latest snapshot
+ * - l1                The L1 node accepts transactions
+ * - running_draw      A draw is Running, so deposits count somewhere (warn)
+ * - processing_draws  No draw has been Processing for too long (warn)
+ * - solvency          The wallet covers every transfer it still owes
+ *
+ * Each check is "ok", "warn" or "fail"; the report takes the worst of them.
+ * Results are cached for a few seconds so frequent probes don't hammer the
+ * explorer.
+ */
+
+const { checkSolvency } = require("./treasury");
+
+const RANK = { ok: 0, warn: 1, fail: 2 };
+
+/**
+ * Runs one check and times it
+ * @param {Function} fn - async () => { status, ...details }
+ * @returns {Object} { status, latency_ms, ...details }, "fail" with the error when it throws
+ */
+async function runCheck(fn) {
+    const startedAt = Date.now();
+    try {
+        const result = await fn();
+        return { ...result, latency_ms: Date.now() - startedAt };
+    } catch (error) {
+        return {
+            status: "fail",
+            error: error.message,
+            latency_ms: Date.now() - startedAt,
+        };
+    }
+}
+
+/**
+ * Creates the health check of the game
+ * @param {Object} deps
+ * @param {Object} deps.pool - PostgreSQL pool
+ * @param {Object} deps.network - Network client
+ * @param {string} deps.address - Game wallet
+ * @param {number} [deps.stuckAfterMs] - Time after which a Processing draw is reported as stuck
+ * @param {number} [deps.cacheMs] - Time a report is reused for
+ * @returns {Function} async () => { status, checked_at, checks }
+ */
+function createHealthCheck({
+    pool,
+    network,
+    address,
+    stuckAfterMs = 60 * 60 * 1000,
+    cacheMs = 10000,
+}) {
+    let cached = null;
+    let running = null;
+
+    /**
+     * Runs every check
+     * @returns {Object} Health report
+     */
+    async function check() {
+        const database = await runCheck(async () => {
+            await pool.query("SELECT 1");
+            return { status: "ok" };
+        });
+
+        // Draw and solvency checks need the database
+        const withDatabase = (fn) =>
+            database.status === "ok"
+                ? runCheck(fn)
+                : { status: "fail", error: "Database unreachable" };
+
+        const [blockExplorer, l1, runningDraw, processingDraws, solvency] =
+            await Promise.all([
+                runCheck(async () => {
+                    const { ordinal } = await network.getLatestSnapshot();
+                    return { status: "ok", snapshot_ordinal: ordinal };
+                }),
+                runCheck(async () => {
+                    const { state, version } = await network.getL1NodeInfo();
+                    return {
+                        status: state === "Ready" ? "ok" : "fail",
+                        state,
+                        version,
+                    };
+                }),
+                withDatabase(async () => {
+                    const { rows } = await pool.query(`
+                        SELECT draw_counter, date_end
+                        FROM draws
+                        WHERE status = 'Running'
+                        ORDER BY draw_counter
+                        LIMIT 1
+                    `);
+
+                    return rows.length > 0
+                        ? {
+                              status: "ok",
+                              round_number: rows[0].draw_counter,
+                              ends_at: rows[0].date_end,
+                          }
+                        : { status: "warn", error: "No draw is running" };
+                }),
+                withDatabase(async () => {
+                    const { rows } = await pool.query(
+                        `
+                        SELECT draw_counter, status_changed_at
+                        FROM draws
+                        WHERE status = 'Processing'
+                          AND status_changed_at < $1
+                        ORDER BY draw_counter
+                    `,
+                        [new Date(Date.now() - stuckAfterMs)],
+                    );
+
+                    return {
+                        status: rows.length > 0 ? "warn" : "ok",
+                        stuck: rows.map((row) => ({
+                            round_number: row.draw_counter,
+                            processing_since: row.status_changed_at,
+                        })),
+                    };
+                }),
+                withDatabase(async () => {
+                    const report = await checkSolvency(pool, network, address);
+                    // Given up transfers wait for an operator to retry or void them
+                    const status = !report.solvent
+                        ? "fail"
+                        : report.given_up > 0n
+                          ? "warn"
+                          : "ok";
+                    return {
+                        status,
+                        ...report,
+                    };
+                }),
+            ]);
+
+        const checks = {
+            database,
+            block_explorer: blockExplorer,
+            l1,
+            running_draw: runningDraw,
+            processing_draws: processingDraws,
+            solvency,
+        };
+        const status = Object.values(checks).reduce(
+            (worst, { status: current }) =>
+                RANK[current] > RANK[worst] ? current : worst,
+            "ok",
+        );
+
+        return { status, checked_at: new Date().toISOString(), checks };
+    }
+
+    return async () => {
+        if (cached && Date.now() - cached.at < cacheMs) {
+            return cached.report;
+        }
+        if (!running) {
+            running = check()
+                .then((report) => {
+                    cached = { at: Date.now(), report };
+                    return report;
+                })
+                .finally(() => {
+                    running = null;
+                });
+        }
+
+        return running;
+    };
+}
+
+module.exports = { createHealthCheck };
@@ -0,0 +1,95 @@
+/**
+ * Logger
+ *
+ * Writes one JSON object per line (time, level, msg and the fields of the
+ * entry) so logs can be searched and alerted on, e.g. every line of a draw
+ * carries its draw_id and every line of a transfer its distribution_id.
+ * LOG_FORMAT=text prints the same entries as plain lines for a terminal, and
+ * LOG_LEVEL (debug, info, warn or error, default info) hides the lower levels.
+ * Warnings and errors go to stderr, the rest to stdout unless LOG_OUTPUT=stderr
+ * (the command line keeps stdout for its own output that way).
+ *
+ * Errors passed as the `error` field are logged with their message and stack.
+ * BigInt amounts are written as strings of datum, like in the API.
+ */
+
+const { jsonReplacer } = require("./amounts");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * Turns the fields of an entry into plain JSON values
+ * @param {Object} fields - Fields of the entry
+ * @returns {Object} Fields with errors expanded
+ */
+function serializeFields(fields) {
+    const serialized = {};
+
+    for (const [key, value] of Object.entries(fields)) {
+        if (value instanceof Error) {
+            serialized[key] = value.message;
+            serialized[`${key}_stack`] = value.stack;
+        } else if (typeof value !== "undefined") {
+            serialized[key] = value;
+        }
+    }
+
+    return serialized;
+}
+
+/**
+ * Writes one entry
+ * @param {string} level - debug, info, warn or error
+ * @param {string} message - What happened
+ * @param {Object} fields - Context of the entry (draw_id, distribution_id, error...)
+ */
+function write(level, message, fields) {
+    // Read on each entry, .env is loaded after this module
+    const minLevel = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+    if (LEVELS[level] < minLevel) {
+        return;
+    }
+
+    const time = new Date().toISOString();
+    const context = serializeFields(fields);
+    const stream =
+        LEVELS[level] >= LEVELS.warn || process.env.LOG_OUTPUT === "stderr"
+            ? process.stderr
+            : process.stdout;
+
+    if (process.env.LOG_FORMAT === "text") {
+        const details = Object.keys(context).length
+            ? ` ${JSON.stringify(context, jsonReplacer)}`
+            : "";
+        stream.write(`${time} ${level.toUpperCase()} ${message}${details}\n`);
+        return;
+    }
+
+    stream.write(
+        `${JSON.stringify({ time, level, msg: message, ...context }, jsonReplacer)}\n`,
+    );
+}
+
+/**
+ * Creates a logger whose entries all carry the given fields
+ * @param {Object} [bindings] - Fields added to every entry, e.g. { draw_id }
+ * @returns {Object} { debug, info, warn, error, child }
+ */
+function createLogger(bindings = {}) {
+    const at =
+        (level) =>
+        (message, fields = {}) =>
+            write(level, message, { ...bindings, ...fields });
+
+    return {
+        debug: at("debug"),
+        info: at("info"),
+        warn: at("warn"),
+        error: at("error"),
+        child: (fields) => createLogger({ ...bindings, ...fields }),
+    };
+}
+
+const logger = createLogger();
+
+module.exports = { logger };
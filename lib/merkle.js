@@ -0,0 +1,139 @@
+/**
+ * Merkle commitment of the participants of a draw
+ *
+ * When a draw closes, its participants (address and total deposited, as
+ * grouped for the selection) are sorted by address and hashed into a Merkle
+ * tree whose root is published with the draw. An inclusion proof then shows
+ * that one entry was counted at its amount without revealing the others:
+ *
+ *   leaf = SHA-256(0x00 || "<address>:<amount in datum>")
+ *   node = SHA-256(0x01 || left || right)
+ *
+ * Hashes are concatenated as bytes and written as hex. A node left without a
+ * sibling at the end of a level moves up unchanged, so nothing is duplicated.
+ * The prefixes keep a leaf from passing for a node (as in RFC 6962).
+ */
+
+const crypto = require("crypto");
+
+const LEAF_PREFIX = Buffer.from([0]);
+const NODE_PREFIX = Buffer.from([1]);
+
+const sha256 = (...parts) =>
+    crypto.createHash("sha256").update(Buffer.concat(parts)).digest("hex");
+
+/**
+ * Hashes one participant
+ * @param {string} address - Participant address
+ * @param {bigint|string} amount - Total deposited in datum
+ * @returns {string} Leaf hash as hex
+ */
+function leafHash(address, amount) {
+    return sha256(LEAF_PREFIX, Buffer.from(`${address}:${amount}`, "utf8"));
+}
+
+/**
+ * Hashes two sibling nodes
+ * @param {string} left - Left hash as hex
+ * @param {string} right - Right hash as hex
+ * @returns {string} Parent hash as hex
+ */
+function nodeHash(left, right) {
+    return sha256(
+        NODE_PREFIX,
+        Buffer.from(left, "hex"),
+        Buffer.from(right, "hex"),
+    );
+}
+
+/**
+ * Builds the tree of a draw's participants
+ * @param {Array} participants - Grouped transactions ({ source, amount } in datum)
+ * @returns {Object} { root, leaves, levels }: root null without participants,
+ *   leaves sorted by address ({ source, amount, hash }), levels from the leaves up
+ */
+function buildMerkleTree(participants) {
+    const leaves = [...participants]
+        .sort((a, b) =>
+            a.source < b.source ? -1 : a.source > b.source ? 1 : 0,
+        )
+        .map(({ source, amount }) => ({
+            source,
+            amount,
+            hash: leafHash(source, amount),
+        }));
+
+    if (leaves.length === 0) {
+        return { root: null, leaves, levels: [] };
+    }
+
+    const levels = [leaves.map((leaf) => leaf.hash)];
+
+    while (levels[levels.length - 1].length > 1) {
+        const level = levels[levels.length - 1];
+        const parents = [];
+
+        for (let i = 0; i < level.length; i += 2) {
+            parents.push(
+                i + 1 < level.length
+                    ? nodeHash(level[i], level[i + 1])
+                    : level[i],
+            );
+        }
+        levels.push(parents);
+    }
+
+    return { root: levels[levels.length - 1][0], leaves, levels };
+}
+
+/**
+ * Lists the sibling hashes leading from a leaf to the root
+ * @param {Array} levels - Levels of a tree built by buildMerkleTree
+ * @param {number} index - Position of the leaf
+ * @returns {Array} Steps from the leaf up ({ side, hash }), side being where the sibling goes
+ */
+function merkleProof(levels, index) {
+    const proof = [];
+    let position = index;
+
+    for (const level of levels.slice(0, -1)) {
+        const sibling = position % 2 === 0 ? position + 1 : position - 1;
+
+        if (sibling < level.length) {
+            proof.push({
+                side: sibling < position ? "left" : "right",
+                hash: level[sibling],
+            });
+        }
+        position = Math.floor(position / 2);
+    }
+
+    return proof;
+}
+
+/**
+ * Checks an inclusion proof
+ * @param {Object} entry - { address, amount } as the player expects it, amount in datum
+ * @param {Array} proof - Steps returned by merkleProof
+ * @param {string} root - Published root of the draw
+ * @returns {boolean} True when the entry is part of the tree with this root
+ */
+function verifyMerkleProof({ address, amount }, proof, root) {
+    const computed = proof.reduce(
+        (hash, step) =>
+            step.side === "left"
+                ? nodeHash(step.hash, hash)
+                : nodeHash(hash, step.hash),
+        leafHash(address, amount),
+    );
+
+    return computed === root;
+}
+
+module.exports = {
+    leafHash,
+    nodeHash,
+    buildMerkleTree,
+    merkleProof,
+    verifyMerkleProof,
+};
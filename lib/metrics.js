@@ -0,0 +1,222 @@
+/**
+ * Metrics
+ *
+ * Prometheus series served on /metrics. Counters and histograms are updated
+ * where things happen (deposit sync, payout ledger, confirmation watcher,
+ * network client, scheduled jobs); gauges describing the game's state (pool
+ * of the running round, time the open draws spent in their status) are read
+ * from the database on each scrape.
+ *
+ * Series are prefixed with dag_royale_. Amounts are in datum.
+ */
+
+const client = require("prom-client");
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: "dag_royale_" });
+
+const depositsIngested = new client.Counter({
+    name: "dag_royale_deposits_ingested_total",
+    help: "Deposits copied from the block explorer into the database",
+    registers: [registry],
+});
+
+const payoutAttempts = new client.Counter({
+    name: "dag_royale_payout_attempts_total",
+    help: "Transfers handed to the network, by kind (prize, refund, sweep) and whether it was a retry",
+    labelNames: ["kind", "retry"],
+    registers: [registry],
+});
+
+const payoutSuccesses = new client.Counter({
+    name: "dag_royale_payout_successes_total",
+    help: "Transfers the network accepted",
+    labelNames: ["kind", "retry"],
+    registers: [registry],
+});
+
+const payoutFailures = new client.Counter({
+    name: "dag_royale_payout_failures_total",
+    help: "Transfers the network refused or that could not be sent",
+    labelNames: ["kind", "retry"],
+    registers: [registry],
+});
+
+const payoutConfirmations = new client.Counter({
+    name: "dag_royale_payout_confirmations_total",
+    help: "Submitted transfers found in a snapshot (confirmed) or given up on (dropped)",
+    labelNames: ["result"],
+    registers: [registry],
+});
+
+const networkRequestDuration = new client.Histogram({
+    name: "dag_royale_network_request_duration_seconds",
+    help: "Latency of the block explorer and L1 calls, by network client method",
+    labelNames: ["operation"],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    registers: [registry],
+});
+
+const networkRequestErrors = new client.Counter({
+    name: "dag_royale_network_request_errors_total",
+    help: "Block explorer and L1 calls that failed, by network client method",
+    labelNames: ["operation"],
+    registers: [registry],
+});
+
+const jobLastRun = new client.Gauge({
+    name: "dag_royale_job_last_run_timestamp_seconds",
+    help: "When a scheduled job last started",
+    labelNames: ["job"],
+    registers: [registry],
+});
+
+const jobLastSuccess = new client.Gauge({
+    name: "dag_royale_job_last_success_timestamp_seconds",
+    help: "When a scheduled job last completed without error",
+    labelNames: ["job"],
+    registers: [registry],
+});
+
+const roundPool = new client.Gauge({
+    name: "dag_royale_round_pool_datum",
+    help: "Eligible deposits of the running round, carried-over jackpot excluded",
+    registers: [registry],
+});
+
+const roundCarriedOver = new client.Gauge({
+    name: "dag_royale_round_carried_over_datum",
+    help: "Jackpot carried into the running round",
+    registers: [registry],
+});
+
+const roundParticipants = new client.Gauge({
+    name: "dag_royale_round_participants",
+    help: "Addresses with an eligible deposit in the running round",
+    registers: [registry],
+});
+
+const drawStateSeconds = new client.Gauge({
+    name: "dag_royale_draw_state_seconds",
+    help: "Time the oldest Running or Processing draw has spent in that status",
+    labelNames: ["status"],
+    registers: [registry],
+});
+
+const draws = new client.Gauge({
+    name: "dag_royale_draws",
+    help: "Draws by status",
+    labelNames: ["status"],
+    registers: [registry],
+});
+
+// Network client methods that reach the block explorer or the L1
+const NETWORK_OPERATIONS = [
+    "listReceivedTransactions",
+    "transfer",
+    "getTransferStatus",
+    "getLatestSnapshot",
+    "getBalance",
+    "getL1NodeInfo",
+];
+
+/**
+ * Labels a transfer by what it pays
+ * @param {string} payoutType - payout_type of the distribution
+ * @returns {string} 'refund', 'sweep' or 'prize'
+ */
+function payoutKind(payoutType) {
+    if (payoutType.startsWith("refund-")) {
+        return "refund";
+    }
+    if (payoutType.startsWith("sweep-")) {
+        return "sweep";
+    }
+    return "prize";
+}
+
+/**
+ * Times the calls a network client makes to the network
+ * @param {Object} network - Network client
+ * @returns {Object} The same client, its network methods measured
+ */
+function instrumentNetworkClient(network) {
+    for (const operation of NETWORK_OPERATIONS) {
+        const method = network[operation].bind(network);
+
+        network[operation] = async (...args) => {
+            const end = networkRequestDuration.startTimer({ operation });
+            try {
+                return await method(...args);
+            } catch (error) {
+                networkRequestErrors.inc({ operation });
+                throw error;
+            } finally {
+                end();
+            }
+        };
+    }
+
+    return network;
+}
+
+/**
+ * Runs a scheduled job and records when it last ran and last succeeded
+ * @param {string} job - Job name, e.g. 'deposit_sync'
+ * @param {Function} fn - async () => result
+ * @returns {*} What the job returned, errors are rethrown
+ */
+async function trackJob(job, fn) {
+    jobLastRun.setToCurrentTime({ job });
+    const result = await fn();
+    jobLastSuccess.setToCurrentTime({ job });
+
+    return result;
+}
+
+/**
+ * Reads the state gauges from the database
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Function} loadRound - async () => { carried_over, transactions } of the running draw, or null
+ */
+async function collectGameState(pool, loadRound) {
+    const round = await loadRound();
+    const transactions = round ? round.transactions : [];
+
+    roundPool.set(
+        Number(transactions.reduce((sum, tx) => sum + tx.amount, 0n)),
+    );
+    roundCarriedOver.set(round ? Number(round.carried_over || 0) : 0);
+    roundParticipants.set(new Set(transactions.map((tx) => tx.source)).size);
+
+    const { rows } = await pool.query(`
+        SELECT status,
+               COUNT(*)::int AS count,
+               EXTRACT(EPOCH FROM now() - MIN(status_changed_at))::float AS seconds
+        FROM draws
+        GROUP BY status
+    `);
+
+    draws.reset();
+    drawStateSeconds.reset();
+    for (const row of rows) {
+        draws.set({ status: row.status }, row.count);
+        // Pending draws wait for their turn, only these two can get stuck
+        if (["Running", "Processing"].includes(row.status)) {
+            drawStateSeconds.set({ status: row.status }, row.seconds);
+        }
+    }
+}
+
+module.exports = {
+    registry,
+    depositsIngested,
+    payoutAttempts,
+    payoutSuccesses,
+    payoutFailures,
+    payoutConfirmations,
+    payoutKind,
+    instrumentNetworkClient,
+    trackJob,
+    collectGameState,
+};
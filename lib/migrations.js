@@ -0,0 +1,253 @@
+/**
+ * Schema migrations
+ *
+ * The schema is built by the numbered SQL files of database/migrations
+ * (e.g. 007_datum_amounts.sql), applied in order and recorded in the
+ * schema_migrations table with a SHA-256 checksum of their content. Each
+ * file runs in its own transaction: a failing migration is rolled back and
+ * stops the run, the ones before it stay applied.
+ *
+ * An applied migration must never be edited, its checksum no longer matching
+ * stops the run; schema changes go into a new file. Runs take an advisory
+ * lock so two servers starting together don't apply the same file twice.
+ *
+ * Seed data (database/seeds) is kept apart from the schema: it only runs on
+ * request, since re-adding rows an operator removed on every boot would undo
+ * their work.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.sql$/;
+
+// Arbitrary key of the advisory lock held while migrating
+const MIGRATION_LOCK = 720615;
+
+/**
+ * Reads the migration files of a directory
+ * @param {string} dir - Directory of the migration files
+ * @returns {Array} Migrations sorted by version ({ version, name, file, sql, checksum })
+ */
+function loadMigrations(dir) {
+    const migrations = fs
+        .readdirSync(dir)
+        .filter((file) => MIGRATION_FILE.test(file))
+        .map((file) => {
+            const [, version, name] = MIGRATION_FILE.exec(file);
+            // Line endings depend on the checkout, not on the migration
+            const sql = fs
+                .readFileSync(path.join(dir, file), "utf8")
+                .replace(/\r\n/g, "\n");
+
+            return {
+                version: parseInt(version, 10),
+                name,
+                file,
+                sql,
+                checksum: crypto.createHash("sha256").update(sql).digest("hex"),
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(
+                `Migrations ${migrations[i - 1].file} and ${migrations[i].file} share the same version`,
+            );
+        }
+    }
+
+    return migrations;
+}
+
+/**
+ * Creates the tracking table and reads the applied migrations
+ * @param {Object} client - PostgreSQL client
+ * @returns {Map} Applied migrations by version
+ */
+async function fetchApplied(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS public.schema_migrations
+        (
+            version integer NOT NULL,
+            name character varying(255) NOT NULL,
+            checksum character(64) NOT NULL,
+            applied_at timestamp with time zone DEFAULT now(),
+            execution_ms integer,
+            CONSTRAINT schema_migrations_pkey PRIMARY KEY (version)
+        )
+    `);
+
+    const { rows } = await client.query(
+        `SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version`,
+    );
+
+    return new Map(rows.map((row) => [row.version, row]));
+}
+
+/**
+ * Compares the migration files with the applied ones
+ * @param {Array} migrations - Migration files
+ * @param {Map} applied - Applied migrations by version
+ * @returns {Array} Migrations still to apply
+ */
+function findPending(migrations, applied) {
+    const files = new Map(migrations.map((m) => [m.version, m]));
+
+    for (const [version, row] of applied) {
+        const migration = files.get(version);
+
+        if (!migration) {
+            throw new Error(
+                `Migration ${version}_${row.name} is applied but its file is missing, the database is newer than this code`,
+            );
+        }
+        if (migration.checksum !== row.checksum) {
+            throw new Error(
+                `Migration ${migration.file} was edited after being applied, add a new migration instead`,
+            );
+        }
+    }
+
+    return migrations.filter((m) => !applied.has(m.version));
+}
+
+/**
+ * Applies the pending migrations
+ * @param {Object} pool - PostgreSQL pool, connected as the owner of the schema
+ * @param {Object} options
+ * @param {string} options.dir - Directory of the migration files
+ * @param {string} [options.grantTo] - Role the server runs as, given access to
+ *   the tables when migrations run as another role
+ * @returns {Array} File names of the migrations applied
+ */
+async function migrate(pool, { dir, grantTo = null }) {
+    const migrations = loadMigrations(dir);
+    const client = await pool.connect();
+
+    try {
+        await client.query(`SELECT pg_advisory_lock($1)`, [MIGRATION_LOCK]);
+
+        const pending = findPending(migrations, await fetchApplied(client));
+
+        for (const migration of pending) {
+            const startedAt = Date.now();
+
+            try {
+                await client.query("BEGIN");
+                await client.query(migration.sql);
+                await client.query(
+                    `
+                    INSERT INTO schema_migrations (version, name, checksum, execution_ms)
+                    VALUES ($1, $2, $3, $4)
+                `,
+                    [
+                        migration.version,
+                        migration.name,
+                        migration.checksum,
+                        Date.now() - startedAt,
+                    ],
+                );
+                await client.query("COMMIT");
+            } catch (error) {
+                await client.query("ROLLBACK");
+                throw new Error(
+                    `Migration ${migration.file} failed and was rolled back: ${error.message}`,
+                );
+            }
+
+            logger.info("Applied migration", { migration: migration.file });
+        }
+
+        if (grantTo && pending.length > 0) {
+            const role = client.escapeIdentifier(grantTo);
+            await client.query(
+                `GRANT SELECT, INSERT, UPDATE, DELETE ON ALL TABLES IN SCHEMA public TO ${role}`,
+            );
+            await client.query(
+                `GRANT USAGE, SELECT ON ALL SEQUENCES IN SCHEMA public TO ${role}`,
+            );
+        }
+
+        return pending.map((m) => m.file);
+    } finally {
+        await client
+            .query(`SELECT pg_advisory_unlock($1)`, [MIGRATION_LOCK])
+            .catch(() => {});
+        client.release();
+    }
+}
+
+/**
+ * Lists every migration with whether it is applied
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} options
+ * @param {string} options.dir - Directory of the migration files
+ * @returns {Array} { version, file, applied_at, status } where status is
+ *   'applied', 'pending' or 'modified'
+ */
+async function migrationStatus(pool, { dir }) {
+    const migrations = loadMigrations(dir);
+    const client = await pool.connect();
+
+    try {
+        const applied = await fetchApplied(client);
+
+        return migrations.map((m) => {
+            const row = applied.get(m.version);
+            return {
+                version: m.version,
+                file: m.file,
+                applied_at: row ? row.applied_at : null,
+                status: !row
+                    ? "pending"
+                    : row.checksum === m.checksum
+                      ? "applied"
+                      : "modified",
+            };
+        });
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Runs every seed file, in name order, each in its own transaction.
+ * Seeds must be written to run any number of times (e.g. ON CONFLICT DO NOTHING).
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} options
+ * @param {string} options.dir - Directory of the seed files
+ * @returns {Array} File names of the seeds run
+ */
+async function runSeeds(pool, { dir }) {
+    const files = fs
+        .readdirSync(dir)
+        .filter((file) => file.endsWith(".sql"))
+        .sort();
+    const client = await pool.connect();
+
+    try {
+        for (const file of files) {
+            try {
+                await client.query("BEGIN");
+                await client.query(
+                    fs.readFileSync(path.join(dir, file), "utf8"),
+                );
+                await client.query("COMMIT");
+            } catch (error) {
+                await client.query("ROLLBACK");
+                throw new Error(`Seed ${file} failed: ${error.message}`);
+            }
+            logger.info("Ran seed", { seed: file });
+        }
+    } finally {
+        client.release();
+    }
+
+    return files;
+}
+
+module.exports = { loadMigrations, migrate, migrationStatus, runSeeds };
@@ -0,0 +1,204 @@
+/**
+ * Constellation network client
+ *
+ * Talks to a real Constellation cluster: the block explorer for received
+ * transactions and confirmed transfers, and the L1 (through dag4) for sending
+ * transfers and querying pending ones.
+ */
+
+const axios = require("axios");
+const { dag4 } = require("@stardust-collective/dag4");
+const { toDatum, formatDag } = require("../amounts");
+const { logger } = require("../logger");
+
+class ConstellationNetworkClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.id - Network id passed to dag4 (e.g. "integration2")
+     * @param {string} options.beUrl - Block explorer URL
+     * @param {string} options.l0Url - L0 load balancer URL
+     * @param {string} options.l1Url - L1 load balancer URL
+     * @param {string} options.privateKey - Private key of the game wallet
+     */
+    constructor({ id, beUrl, l0Url, l1Url, privateKey }) {
+        this.name = "constellation";
+        this.id = id;
+        this.beUrl = beUrl;
+        this.l0Url = l0Url;
+        this.l1Url = l1Url;
+        this.privateKey = privateKey;
+        this.connected = false;
+    }
+
+    /**
+     * Connects dag4 to the network and logs in with the wallet key.
+     * Only done once per client, the session is reused afterwards.
+     */
+    connect() {
+        if (this.connected) {
+            return;
+        }
+
+        dag4.account.connect(
+            {
+                id: this.id,
+                networkVersion: "2.0",
+                beUrl: this.beUrl,
+                l0Url: this.l0Url,
+                l1Url: this.l1Url,
+            },
+            false,
+        );
+
+        dag4.account.loginPrivateKey(this.privateKey);
+        this.connected = true;
+    }
+
+    /**
+     * Fetches one page of transactions received by an address
+     * @param {string} address - Receiving address
+     * @param {Object} [options]
+     * @param {string} [options.next] - Cursor returned by the previous page
+     * @param {number} [options.limit] - Page size
+     * @returns {Object} { transactions, next }, next is null on the last page
+     */
+    async listReceivedTransactions(address, { next = null, limit = 50 } = {}) {
+        const baseUrl = `${this.beUrl}/addresses/${address}/transactions/received?limit=${limit}`;
+        const url = next ? `${baseUrl}&next=${next}` : baseUrl;
+
+        try {
+            const { data } = await axios.get(url);
+
+            if (!data || !data.data) {
+                logger.warn("Unexpected response structure", {
+                    response: data,
+                });
+                return { transactions: [], next: null };
+            }
+
+            return {
+                transactions: data.data,
+                next: data.meta && data.meta.next ? data.meta.next : null,
+            };
+        } catch (error) {
+            if (error.response && error.response.status === 404) {
+                // The explorer answers 404 once there is nothing left to read
+                return { transactions: [], next: null };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Sends DAG from the game wallet
+     * @param {string} toAddress - Receiver address
+     * @param {bigint} amount - Amount in datum
+     * @param {bigint} fee - Fee in datum
+     * @returns {Object} Pending transaction ({ timestamp, hash, amount, receiver, fee, status })
+     */
+    async transfer(toAddress, amount, fee) {
+        this.connect();
+        // dag4 parses decimal strings exactly, unlike floats
+        const transaction = await dag4.account.transferDag(
+            toAddress,
+            formatDag(amount),
+            formatDag(fee),
+        );
+        // Without a hash the transfer can't be confirmed, so it is treated as failed and sent again
+        if (!transaction || !transaction.hash) {
+            throw new Error(`The transfer to ${toAddress} returned no hash`);
+        }
+        return { ...transaction, amount, fee };
+    }
+
+    /**
+     * Looks up where a transfer currently is
+     * @param {string} hash - Transaction hash
+     * @returns {Object} { status, snapshotHash, snapshotOrdinal, timestamp }
+     */
+    async getTransferStatus(hash) {
+        try {
+            const { data } = await axios.get(
+                `${this.beUrl}/transactions/${hash}`,
+            );
+
+            if (data && data.data) {
+                return {
+                    status: "CONFIRMED",
+                    snapshotHash: data.data.snapshotHash || data.data.snapshot,
+                    snapshotOrdinal:
+                        typeof data.data.snapshotOrdinal === "undefined"
+                            ? null
+                            : data.data.snapshotOrdinal,
+                    timestamp: data.data.timestamp,
+                };
+            }
+        } catch (error) {
+            if (!error.response || error.response.status !== 404) {
+                throw error;
+            }
+        }
+
+        try {
+            const { data } = await axios.get(
+                `${this.l1Url}/transactions/${hash}`,
+            );
+
+            if (data && data.status) {
+                return {
+                    status: data.status,
+                    snapshotHash: null,
+                    snapshotOrdinal: null,
+                    timestamp: null,
+                };
+            }
+        } catch (error) {
+            if (!error.response || error.response.status !== 404) {
+                throw error;
+            }
+        }
+
+        return {
+            status: "UNKNOWN",
+            snapshotHash: null,
+            snapshotOrdinal: null,
+            timestamp: null,
+        };
+    }
+
+    /**
+     * Fetches the latest global snapshot from the block explorer
+     * @returns {Object} { hash, ordinal }
+     */
+    async getLatestSnapshot() {
+        const { data } = await axios.get(
+            `${this.beUrl}/global-snapshots/latest`,
+        );
+        return { hash: data.data.hash, ordinal: data.data.ordinal };
+    }
+
+    /**
+     * Fetches the balance of an address
+     * @param {string} address - Address to query
+     * @returns {bigint} Balance in datum
+     */
+    async getBalance(address) {
+        const { data } = await axios.get(
+            `${this.beUrl}/addresses/${address}/balance`,
+        );
+        return toDatum(data.data.balance);
+    }
+
+    /**
+     * Fetches the state of the L1 node behind the load balancer
+     * @returns {Object} { state, version }, state is 'Ready' when it accepts transactions
+     */
+    async getL1NodeInfo() {
+        const { data } = await axios.get(`${this.l1Url}/node/info`, {
+            timeout: 10000,
+        });
+        return { state: data.state, version: data.version };
+    }
+}
+
+module.exports = { ConstellationNetworkClient };
@@ -0,0 +1,53 @@
+/**
+ * Network clients
+ *
+ * Every client exposes the same interface, amounts in datum (BigInt):
+ * - listReceivedTransactions(address, { next, limit }) -> { transactions, next }
+ * - transfer(toAddress, amount, fee) -> pending transaction
+ * - getTransferStatus(hash) -> { status, snapshotHash, snapshotOrdinal, timestamp }
+ * - getLatestSnapshot() -> { hash, ordinal }
+ * - getBalance(address) -> balance
+ * - getL1NodeInfo() -> { state, version }
+ *
+ * The Constellation client is pointed at the cluster of a network profile
+ * (see ./profiles).
+ */
+
+const { ConstellationNetworkClient } = require("./constellation");
+const { LocalNetworkClient, createLocalNetworkRouter } = require("./local");
+const {
+    NETWORK_PROFILES,
+    isValidDagAddress,
+    resolveNetworkProfile,
+    verifyWallet,
+} = require("./profiles");
+
+/**
+ * Creates the network client selected by the adapter name
+ * @param {string} adapter - "constellation" or "local"
+ * @param {Object} options - Options passed to the client constructor
+ * @returns {ConstellationNetworkClient|LocalNetworkClient} Network client
+ */
+function createNetworkClient(adapter, options) {
+    switch (adapter || "constellation") {
+        case "constellation":
+            return new ConstellationNetworkClient(options);
+        case "local":
+            return new LocalNetworkClient(options);
+        default:
+            throw new Error(
+                `Unknown network adapter '${adapter}'. Use 'constellation' or 'local'.`,
+            );
+    }
+}
+
+module.exports = {
+    createNetworkClient,
+    createLocalNetworkRouter,
+    ConstellationNetworkClient,
+    LocalNetworkClient,
+    NETWORK_PROFILES,
+    isValidDagAddress,
+    resolveNetworkProfile,
+    verifyWallet,
+};
@@ -0,0 +1,279 @@
+/**
+ * Local network client
+ *
+ * An offline stand-in for the block explorer and L1 so a whole draw lifecycle
+ * can be run on a dev box. Balances and transactions are kept in memory and,
+ * when a state file is configured, written to disk so they survive restarts.
+ *
+ * Amounts are handled in datum (1 DAG = 100000000 datum) like every other
+ * client, and kept in the state file as decimal strings.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const express = require("express");
+const { toDatum, dagToDatum } = require("../amounts");
+const { isValidDagAddress } = require("./profiles");
+
+class LocalNetworkClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.address - Address of the game wallet
+     * @param {string} [options.file] - JSON file used to persist the state
+     * @param {number} [options.confirmAfterMs] - Time before a transfer is reported as confirmed
+     * @param {number} [options.failRate] - Share of transfers (0..1) that fail, to exercise retry
+     */
+    constructor({ address, file = null, confirmAfterMs = 0, failRate = 0 }) {
+        this.name = "local";
+        this.address = address;
+        this.file = file;
+        this.confirmAfterMs = confirmAfterMs;
+        this.failRate = failRate;
+        this.state = this.load();
+    }
+
+    load() {
+        if (this.file && fs.existsSync(this.file)) {
+            return JSON.parse(fs.readFileSync(this.file, "utf8"));
+        }
+        return { balances: {}, transactions: [], ordinal: 0 };
+    }
+
+    save() {
+        if (this.file) {
+            fs.writeFileSync(this.file, JSON.stringify(this.state, null, 2));
+        }
+    }
+
+    /**
+     * Records a transaction between two addresses and moves the balances
+     * @param {Object} tx - { source, destination, amount, fee, timestamp, status }, amounts in datum (BigInt)
+     * @param {boolean} [debitSource] - False for simulated deposits, whose senders have no local balance
+     * @returns {Object} The stored transaction
+     */
+    record(
+        { source, destination, amount, fee, timestamp, status },
+        debitSource = true,
+    ) {
+        const hash = crypto
+            .createHash("sha256")
+            .update(
+                JSON.stringify([
+                    source,
+                    destination,
+                    amount.toString(),
+                    timestamp,
+                    this.state.transactions.length,
+                ]),
+            )
+            .digest("hex");
+
+        const transaction = {
+            hash,
+            source,
+            destination,
+            amount: amount.toString(),
+            fee: fee.toString(),
+            timestamp,
+            status,
+            snapshotOrdinal: null,
+        };
+
+        const { balances } = this.state;
+        if (debitSource) {
+            balances[source] = (
+                this.balanceOf(source) -
+                amount -
+                fee
+            ).toString();
+        }
+        balances[destination] = (
+            this.balanceOf(destination) + amount
+        ).toString();
+
+        this.state.transactions.push(transaction);
+        this.save();
+
+        return transaction;
+    }
+
+    /**
+     * Simulates a player sending DAG to an address
+     * @param {Object} deposit
+     * @param {string} deposit.source - Sender address
+     * @param {string|number} deposit.amount - Amount in DAG, e.g. "12.5"
+     * @param {string} [deposit.destination] - Receiver, defaults to the game wallet
+     * @param {string} [deposit.timestamp] - ISO timestamp, defaults to now
+     * @returns {Object} The stored transaction
+     */
+    deposit({ source, amount, destination, timestamp }) {
+        return this.record(
+            {
+                source,
+                destination: destination || this.address,
+                amount: dagToDatum(amount),
+                fee: 0n,
+                timestamp: timestamp || new Date().toISOString(),
+                status: "CONFIRMED",
+            },
+            false,
+        );
+    }
+
+    async listReceivedTransactions(address, { next = null, limit = 50 } = {}) {
+        // The explorer returns the most recent transactions first
+        const received = this.state.transactions
+            .filter((tx) => tx.destination === address)
+            .reverse();
+
+        const offset = next ? parseInt(next, 10) : 0;
+        const page = received.slice(offset, offset + limit);
+        const hasMore = offset + limit < received.length;
+
+        return {
+            transactions: page.map(
+                ({ hash, source, destination, amount, fee, timestamp }) => ({
+                    hash,
+                    source,
+                    destination,
+                    amount,
+                    fee,
+                    timestamp,
+                }),
+            ),
+            next: hasMore ? String(offset + limit) : null,
+        };
+    }
+
+    balanceOf(address) {
+        return toDatum(this.state.balances[address] || 0);
+    }
+
+    async transfer(toAddress, amount, fee) {
+        if (Math.random() < this.failRate) {
+            throw new Error("Simulated network failure");
+        }
+
+        if (this.balanceOf(this.address) < amount + fee) {
+            throw new Error("Insufficient balance");
+        }
+
+        const transaction = this.record({
+            source: this.address,
+            destination: toAddress,
+            amount,
+            fee,
+            timestamp: new Date().toISOString(),
+            status: "POSTED",
+        });
+
+        return {
+            timestamp: Date.parse(transaction.timestamp),
+            hash: transaction.hash,
+            amount,
+            receiver: toAddress,
+            fee,
+            sender: this.address,
+            pending: true,
+            status: transaction.status,
+        };
+    }
+
+    async getTransferStatus(hash) {
+        const transaction = this.state.transactions.find(
+            (tx) => tx.hash === hash,
+        );
+
+        if (!transaction) {
+            return {
+                status: "UNKNOWN",
+                snapshotHash: null,
+                snapshotOrdinal: null,
+                timestamp: null,
+            };
+        }
+
+        if (
+            transaction.status === "POSTED" &&
+            Date.now() - Date.parse(transaction.timestamp) >=
+                this.confirmAfterMs
+        ) {
+            this.state.ordinal += 1;
+            transaction.status = "CONFIRMED";
+            transaction.snapshotOrdinal = this.state.ordinal;
+            this.save();
+        }
+
+        return {
+            status: transaction.status,
+            snapshotHash: null,
+            snapshotOrdinal: transaction.snapshotOrdinal,
+            timestamp: transaction.timestamp,
+        };
+    }
+
+    async getLatestSnapshot() {
+        const hash = crypto
+            .createHash("sha256")
+            .update(
+                JSON.stringify([
+                    this.state.ordinal,
+                    this.state.transactions.length,
+                ]),
+            )
+            .digest("hex");
+        return { hash, ordinal: this.state.ordinal };
+    }
+
+    async getBalance(address) {
+        return this.balanceOf(address);
+    }
+
+    async getL1NodeInfo() {
+        return { state: "Ready", version: "local" };
+    }
+}
+
+/**
+ * Dev-only routes to drive the local network from curl or scripts
+ * @param {LocalNetworkClient} client - The local network client
+ * @returns {express.Router} Router to mount under /local-network
+ */
+function createLocalNetworkRouter(client) {
+    const router = express.Router();
+    router.use(express.json());
+
+    router.post("/deposits", (req, res) => {
+        const { source, amount, destination, timestamp } = req.body || {};
+
+        let datum;
+        try {
+            datum = dagToDatum(amount);
+        } catch (error) {
+            datum = 0n;
+        }
+
+        if (!source || datum <= 0n) {
+            return res
+                .status(400)
+                .json({ error: "source and a positive amount are required" });
+        }
+        if (!isValidDagAddress(source)) {
+            return res
+                .status(400)
+                .json({ error: "source is not a valid DAG address" });
+        }
+
+        res.status(201).json(
+            client.deposit({ source, amount, destination, timestamp }),
+        );
+    });
+
+    router.get("/state", (req, res) => {
+        res.status(200).json(client.state);
+    });
+
+    return router;
+}
+
+module.exports = { LocalNetworkClient, createLocalNetworkRouter };
@@ -0,0 +1,170 @@
+/**
+ * Network profiles
+ *
+ * The Constellation cluster the game plays on is chosen with DAG_NETWORK
+ * (mainnet, integrationnet or testnet) instead of URLs written in the code,
+ * so the same build can be promoted from one network to the next. Each
+ * profile carries the dag4 network id and the block explorer, L0 and L1 URLs;
+ * DAG_BE_URL, DAG_L0_URL and DAG_L1_URL replace them, e.g. to use your own
+ * nodes.
+ *
+ * The game wallet is checked before the server starts: PUBLIC_KEY must be a
+ * valid DAG address, match PRIVATE_KEY, and be the wallet the database was
+ * first run with on that network. A database holds the deposits and payouts
+ * of a single network and wallet, pointing it at another one is refused.
+ */
+
+const { dag4 } = require("@stardust-collective/dag4");
+const { getSetting, setSetting } = require("../settings");
+const { logger } = require("../logger");
+
+const NETWORK_PROFILES = {
+    mainnet: {
+        id: "mainnet",
+        beUrl: "https://be-mainnet.constellationnetwork.io",
+        l0Url: "https://l0-lb-mainnet.constellationnetwork.io",
+        l1Url: "https://l1-lb-mainnet.constellationnetwork.io",
+    },
+    integrationnet: {
+        id: "integration2",
+        beUrl: "https://be-integrationnet.constellationnetwork.io",
+        l0Url: "https://l0-lb-integrationnet.constellationnetwork.io",
+        l1Url: "https://l1-lb-integrationnet.constellationnetwork.io",
+    },
+    testnet: {
+        id: "testnet",
+        beUrl: "https://be-testnet.constellationnetwork.io",
+        l0Url: "https://l0-lb-testnet.constellationnetwork.io",
+        l1Url: "https://l1-lb-testnet.constellationnetwork.io",
+    },
+};
+
+// The network the game ran on before profiles existed
+const DEFAULT_NETWORK = "integrationnet";
+
+const ADDRESS_PATTERN = /^DAG[0-9][1-9A-HJ-NP-Za-km-z]{36}$/;
+
+/**
+ * Checks a DAG address, including its parity digit (the sum of the digits of
+ * the last 36 characters, modulo 9), which catches most typos
+ * @param {string} address - Address to check
+ * @returns {boolean} True when the address is well formed
+ */
+function isValidDagAddress(address) {
+    if (typeof address !== "string" || !ADDRESS_PATTERN.test(address)) {
+        return false;
+    }
+
+    const digits = address
+        .slice(4)
+        .split("")
+        .filter((char) => char >= "0" && char <= "9");
+    const sum = digits.reduce((total, digit) => total + Number(digit), 0);
+
+    return Number(address[3]) === sum % 9;
+}
+
+/**
+ * Reads a URL override of a profile
+ * @param {string} name - Variable name, for the error message
+ * @param {string} value - Variable value
+ * @returns {string} The URL without its trailing slash
+ */
+function readUrl(name, value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        throw new Error(`${name} must be a URL, got '${value}'`);
+    }
+    if (url.protocol !== "https:" && url.protocol !== "http:") {
+        throw new Error(`${name} must be an http(s) URL, got '${value}'`);
+    }
+
+    return value.replace(/\/+$/, "");
+}
+
+/**
+ * Resolves the network profile selected by the environment
+ * @param {Object} env - Environment variables (DAG_NETWORK, DAG_BE_URL, DAG_L0_URL, DAG_L1_URL)
+ * @returns {Object} { name, id, beUrl, l0Url, l1Url }
+ */
+function resolveNetworkProfile(env) {
+    const name = env.DAG_NETWORK || DEFAULT_NETWORK;
+    const profile = NETWORK_PROFILES[name];
+
+    if (!profile) {
+        throw new Error(
+            `Unknown DAG_NETWORK '${name}'. Use ${Object.keys(NETWORK_PROFILES).join(", ")}.`,
+        );
+    }
+
+    return {
+        name,
+        id: profile.id,
+        beUrl: env.DAG_BE_URL
+            ? readUrl("DAG_BE_URL", env.DAG_BE_URL)
+            : profile.beUrl,
+        l0Url: env.DAG_L0_URL
+            ? readUrl("DAG_L0_URL", env.DAG_L0_URL)
+            : profile.l0Url,
+        l1Url: env.DAG_L1_URL
+            ? readUrl("DAG_L1_URL", env.DAG_L1_URL)
+            : profile.l1Url,
+    };
+}
+
+/**
+ * Checks that the game wallet is the one the database was first run with on
+ * this network, and records it on the first run
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} wallet
+ * @param {string} wallet.network - Network name (a profile name, or "local")
+ * @param {string} wallet.address - PUBLIC_KEY
+ * @param {string} [wallet.privateKey] - PRIVATE_KEY, checked against the address when set
+ */
+async function verifyWallet(pool, { network, address, privateKey = null }) {
+    if (!isValidDagAddress(address)) {
+        throw new Error(`PUBLIC_KEY '${address}' is not a valid DAG address`);
+    }
+
+    if (privateKey) {
+        let derived;
+        try {
+            derived = dag4.keyStore.getDagAddressFromPrivateKey(privateKey);
+        } catch (error) {
+            throw new Error(`PRIVATE_KEY is not a valid key: ${error.message}`);
+        }
+        if (derived !== address) {
+            throw new Error(
+                `PRIVATE_KEY belongs to ${derived}, not to PUBLIC_KEY ${address}`,
+            );
+        }
+    }
+
+    const binding = await getSetting(pool, "network_binding", null);
+
+    if (!binding) {
+        await setSetting(pool, "network_binding", {
+            network,
+            address,
+            bound_at: new Date().toISOString(),
+        });
+        logger.info("Database bound to the wallet", { address, network });
+        return;
+    }
+
+    if (binding.network !== network || binding.address !== address) {
+        throw new Error(
+            `This database belongs to ${binding.address} on ${binding.network}, ` +
+                `refusing to run with ${address} on ${network}`,
+        );
+    }
+}
+
+module.exports = {
+    NETWORK_PROFILES,
+    isValidDagAddress,
+    resolveNetworkProfile,
+    verifyWallet,
+};
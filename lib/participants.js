@@ -0,0 +1,174 @@
+/**
+ * Participant commitments
+ *
+ * Stores the participants of a draw with the Merkle root built over them
+ * (see merkle.js) when the draw moves to 'Processing', and serves inclusion
+ * proofs from the stored entries, so a proof still holds when the block
+ * explorer's data changes or is pruned later on. The prizes are calculated
+ * from the same entries, so the published root binds the draw.
+ */
+
+const { buildMerkleTree, merkleProof } = require("./merkle");
+const { toDatum } = require("./amounts");
+
+/**
+ * Commits the participants of a draw, inside the caller's transaction. A draw
+ * is committed once: its deposits are marked as counted or left out, and the
+ * ones synced afterwards stay unmarked and are refunded (see refunds.js).
+ * @param {Object} client - PostgreSQL client in a transaction
+ * @param {number} drawId - ID of the draw
+ * @param {Array} participants - Grouped transactions ({ source, amount } in datum)
+ * @param {Array} hashes - Hashes of the deposits the participants were grouped from
+ * @returns {Object} { root }, null without participants
+ */
+async function commitParticipants(client, drawId, participants, hashes) {
+    const { root, leaves } = buildMerkleTree(participants);
+
+    const { rows } = await client.query(
+        `SELECT participants_committed_at FROM draws WHERE id = $1 FOR UPDATE`,
+        [drawId],
+    );
+
+    if (rows.length > 0 && rows[0].participants_committed_at !== null) {
+        throw new Error(
+            `The participants of draw ${drawId} are already committed`,
+        );
+    }
+
+    await client.query(
+        `
+        INSERT INTO draw_participants (draw_id, leaf_index, address, amount)
+        SELECT $1, entry.leaf_index - 1, entry.address, entry.amount
+        FROM unnest($2::text[], $3::bigint[]) WITH ORDINALITY
+             AS entry (address, amount, leaf_index)
+    `,
+        [
+            drawId,
+            leaves.map((leaf) => leaf.source),
+            leaves.map((leaf) => leaf.amount.toString()),
+        ],
+    );
+    await client.query(
+        `UPDATE deposits SET committed = (hash = ANY($2)) WHERE draw_id = $1`,
+        [drawId, hashes],
+    );
+    await client.query(
+        `
+        UPDATE draws
+        SET participants_root = $2,
+            participants_committed_at = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+    `,
+        [drawId, root],
+    );
+
+    return { root };
+}
+
+/**
+ * Reads the participants committed for a draw
+ * @param {Object} client - PostgreSQL client or pool
+ * @param {number} drawId - ID of the draw
+ * @returns {Array|null} Grouped transactions ({ source, amount } in datum) in
+ *   leaf order, null when the draw's participants aren't committed yet
+ */
+async function fetchCommittedParticipants(client, drawId) {
+    const { rows: draws } = await client.query(
+        `SELECT participants_committed_at FROM draws WHERE id = $1`,
+        [drawId],
+    );
+
+    if (draws.length === 0 || draws[0].participants_committed_at === null) {
+        return null;
+    }
+
+    const { rows } = await client.query(
+        `
+        SELECT address AS source, amount
+        FROM draw_participants
+        WHERE draw_id = $1
+        ORDER BY leaf_index
+    `,
+        [drawId],
+    );
+
+    return rows.map((row) => ({
+        source: row.source,
+        amount: toDatum(row.amount),
+    }));
+}
+
+/**
+ * Builds the inclusion proof of one participant of a draw
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} counter - Round number
+ * @param {string} address - Participant address
+ * @returns {Object|null} { round_number, root, participants, address, amount,
+ *   leaf_index, leaf, proof }, null when the round doesn't exist; without a
+ *   commitment yet root is null, and leaf_index null when the address isn't in it
+ */
+async function fetchInclusionProof(pool, counter, address) {
+    const { rows: draws } = await pool.query(
+        `SELECT id, participants_root FROM draws WHERE draw_counter = $1`,
+        [counter],
+    );
+
+    if (draws.length === 0) {
+        return null;
+    }
+
+    const [draw] = draws;
+    const { rows: entries } = await pool.query(
+        `
+        SELECT address AS source, amount
+        FROM draw_participants
+        WHERE draw_id = $1
+        ORDER BY leaf_index
+    `,
+        [draw.id],
+    );
+
+    const tree = buildMerkleTree(
+        entries.map((entry) => ({
+            source: entry.source,
+            amount: toDatum(entry.amount),
+        })),
+    );
+    const index = tree.leaves.findIndex((leaf) => leaf.source === address);
+    const proof = {
+        round_number: counter,
+        root: draw.participants_root,
+        participants: tree.leaves.length,
+        address,
+        amount: null,
+        leaf_index: null,
+        leaf: null,
+        proof: [],
+    };
+
+    if (draw.participants_root === null || index === -1) {
+        return proof;
+    }
+
+    // Served from the stored entries, which must still hash to the published root
+    if (tree.root !== draw.participants_root) {
+        throw new Error(
+            `Participants of round ${counter} don't match their committed root`,
+        );
+    }
+
+    return {
+        ...proof,
+        amount: tree.leaves[index].amount,
+        leaf_index: index,
+        leaf: tree.leaves[index].hash,
+        proof: merkleProof(tree.levels, index),
+    };
+}
+
+module.exports = {
+    commitParticipants,
+    fetchCommittedParticipants,
+    fetchInclusionProof,
+};
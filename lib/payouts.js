@@ -0,0 +1,545 @@
+/**
+ * Payout ledger
+ *
+ * The payout plan of a draw is written to the distributions table before any
+ * transfer is sent, one row per (draw, recipient, payout type). Each row moves
+ * through these statuses:
+ *
+ * - Planned    Written with the plan, nothing sent yet
+ * - Submitted  Claimed right before the transfer, the hash is stored once the network accepts it
+ * - Confirmed  Included in a global snapshot (see confirmations.js)
+ * - Failed     The transfer was rejected or dropped, retried until it runs out of attempts
+ * - Voided     Given up on by an operator, its amount and fee are booked back to the house
+ *
+ * A run that dies mid-loop leaves the rows it didn't reach as Planned, so the
+ * next run picks up exactly there. A row left Submitted without a hash died
+ * between the transfer and its bookkeeping: it is matched against the
+ * transactions received by the recipient before anything is sent again.
+ */
+
+const { toDatum } = require("./amounts");
+const { MAX_ATTEMPTS, recordEntry, assertSolvent } = require("./treasury");
+const { logger } = require("./logger");
+const { announce } = require("./webhooks");
+const {
+    payoutAttempts,
+    payoutSuccesses,
+    payoutFailures,
+    payoutKind,
+} = require("./metrics");
+
+// Leaves the explorer time to index a transfer before concluding it was never sent
+const RECONCILE_AFTER_MS = 10 * 60 * 1000;
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Fetches the stored payout plan of a draw
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} drawId - ID of the draw
+ * @returns {Array} Distributions of the draw, empty when no plan was made yet
+ */
+async function fetchPayoutPlan(pool, drawId) {
+    const { rows } = await pool.query(
+        `
+        SELECT id, public_key, payout_type, prize, fee_paid, status, hash, retry, error_message
+        FROM distributions
+        WHERE draw_id = $1
+        ORDER BY id
+    `,
+        [drawId],
+    );
+
+    return rows;
+}
+
+/**
+ * Stores the selection and the payout plan of a draw in one transaction
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} plan
+ * @param {number} plan.drawId - ID of the draw
+ * @param {Array} plan.payouts - Payout plan ({ receiver, amount, type }, amounts in datum)
+ * @param {bigint} plan.networkFee - Network fee of each transfer
+ * @param {bigint} plan.totalAmount - Total collected by the draw
+ * @param {number} plan.feeRate - House fee rate of the draw (e.g. 0.05)
+ * @param {bigint} plan.houseFee - House fee taken off the pool
+ * @param {bigint} plan.remainder - What rounding the shares down left over, kept by the house
+ * @param {string} plan.winner - Address of the winner
+ * @param {string} plan.ticket - Winning ticket
+ * @returns {Array} Distributions of the draw
+ */
+async function recordPayoutPlan(
+    pool,
+    {
+        drawId,
+        payouts,
+        networkFee,
+        totalAmount,
+        feeRate,
+        houseFee,
+        remainder,
+        winner,
+        ticket,
+    },
+) {
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+
+        await client.query(
+            `UPDATE draws
+             SET winning_ticket = $2, winner_public_key = $3, total_collected = $4, fee = $5,
+                 house_fee = $6, rounding_remainder = $7, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1`,
+            [drawId, ticket, winner, totalAmount, feeRate, houseFee, remainder],
+        );
+
+        for (const payout of payouts) {
+            // A plan recorded by an earlier run wins, the unique key keeps it as is
+            await client.query(
+                `
+                INSERT INTO distributions (draw_id, public_key, payout_type, prize, fee_paid, status, retry)
+                VALUES ($1, $2, $3, $4, $5, 'Planned', 0)
+                ON CONFLICT (draw_id, public_key, payout_type) DO NOTHING
+            `,
+                [
+                    drawId,
+                    payout.receiver,
+                    payout.type,
+                    payout.amount,
+                    networkFee,
+                ],
+            );
+        }
+
+        // The house's share of the draw, and the network fees it pays on the payouts
+        const entries = {
+            house_fee: houseFee,
+            rounding_remainder: remainder,
+            network_fees: -networkFee * BigInt(payouts.length),
+        };
+        for (const [type, amount] of Object.entries(entries)) {
+            await recordEntry(client, {
+                key: `draw-${drawId}:${type}`,
+                type,
+                drawId,
+                amount,
+            });
+        }
+
+        await client.query("COMMIT");
+    } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    return fetchPayoutPlan(pool, drawId);
+}
+
+/**
+ * Looks for a transfer of an interrupted payout among the transactions received by its recipient.
+ * Only a transaction from the game wallet to the recipient, for the amount,
+ * made since the attempt started and not already stored on another
+ * distribution counts, so an earlier payout of the same amount isn't taken for it.
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} network - Network client
+ * @param {string} fromAddress - Game wallet
+ * @param {Object} distribution - Row of the distributions table
+ * @returns {Object|undefined} The matching transaction
+ */
+async function findSentTransfer(pool, network, fromAddress, distribution) {
+    const amount = toDatum(distribution.prize);
+    const since = new Date(distribution.submitted_at).getTime();
+    const { rows } = await pool.query(
+        `
+        SELECT hash
+        FROM distributions
+        WHERE public_key = $1 AND hash IS NOT NULL AND id <> $2
+    `,
+        [distribution.public_key, distribution.id],
+    );
+    const claimed = new Set(rows.map((row) => row.hash));
+    let next = null;
+
+    do {
+        const page = await network.listReceivedTransactions(
+            distribution.public_key,
+            { next },
+        );
+
+        for (const tx of page.transactions) {
+            if (new Date(tx.timestamp).getTime() < since) {
+                // Pages are sorted newest first, the rest is older than the attempt
+                return undefined;
+            }
+            if (
+                tx.source === fromAddress &&
+                tx.destination === distribution.public_key &&
+                toDatum(tx.amount) === amount &&
+                !claimed.has(tx.hash)
+            ) {
+                return tx;
+            }
+        }
+
+        next = page.next;
+    } while (next);
+
+    return undefined;
+}
+
+/**
+ * Settles rows left Submitted without a hash by a run that died mid-transfer
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} network - Network client
+ * @param {string} fromAddress - Game wallet
+ * @param {number} [drawId] - Only settle this draw
+ */
+async function reconcileInterrupted(pool, network, fromAddress, drawId) {
+    const { rows } = await pool.query(
+        `
+        SELECT id, draw_id, public_key, prize, submitted_at
+        FROM distributions
+        WHERE status = 'Submitted'
+          AND hash IS NULL
+          AND submitted_at < $2
+          AND ($1::int IS NULL OR draw_id = $1)
+        ORDER BY id
+    `,
+        [drawId || null, new Date(Date.now() - RECONCILE_AFTER_MS)],
+    );
+
+    for (const distribution of rows) {
+        const log = logger.child({
+            draw_id: distribution.draw_id,
+            distribution_id: distribution.id,
+        });
+        const tx = await findSentTransfer(
+            pool,
+            network,
+            fromAddress,
+            distribution,
+        );
+
+        if (tx) {
+            log.info("Distribution was sent before the interruption", {
+                hash: tx.hash,
+            });
+            await pool.query(
+                `UPDATE distributions
+                 SET hash = $2, transaction_datetime = $3, error_message = NULL, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1`,
+                [distribution.id, tx.hash, new Date(tx.timestamp)],
+            );
+        } else {
+            log.warn(
+                "Distribution was interrupted before reaching the network, it will be sent again",
+            );
+            await pool.query(
+                `UPDATE distributions
+                 SET status = 'Failed', error_message = 'Interrupted before the network answered',
+                     updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1`,
+                [distribution.id],
+            );
+        }
+    }
+}
+
+/**
+ * Describes a distribution in the payout webhook events
+ * @param {Object} distribution - Row of the distributions table
+ * @returns {Object} { distribution_id, draw_id, receiver, type, amount, fee }
+ */
+function describePayout(distribution) {
+    return {
+        distribution_id: distribution.id,
+        draw_id: distribution.draw_id,
+        receiver: distribution.public_key,
+        type: distribution.payout_type,
+        amount: toDatum(distribution.prize),
+        fee: toDatum(distribution.fee_paid),
+    };
+}
+
+/**
+ * Sends every payout that is due: Planned rows, and Failed rows with attempts left
+ * when retrying. Each row is claimed before its transfer so two runs never send it twice.
+ * Nothing is sent, and an error is thrown, when the wallet can't cover every
+ * transfer it owes with their fees.
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} network - Network client
+ * @param {Object} options
+ * @param {string} options.fromAddress - Game wallet
+ * @param {number} [options.drawId] - Only pay this draw
+ * @param {number} [options.distributionId] - Only send this distribution
+ * @param {boolean} [options.retryFailed] - Also send Failed rows again
+ * @param {number} [options.pauseMs] - Pause after each transfer so the wallet's transactions stay ordered
+ * @returns {Object} { submitted, failed } counts
+ */
+async function processPayouts(
+    pool,
+    network,
+    {
+        fromAddress,
+        drawId,
+        distributionId,
+        retryFailed = false,
+        pauseMs = 7000,
+    },
+) {
+    await reconcileInterrupted(pool, network, fromAddress, drawId);
+
+    const { rows } = await pool.query(
+        `
+        SELECT id, draw_id, public_key, payout_type, prize, fee_paid, status, retry
+        FROM distributions
+        WHERE ($1::int IS NULL OR draw_id = $1)
+          AND ($4::int IS NULL OR id = $4)
+          AND (status = 'Planned'
+               OR ($2 AND status = 'Failed' AND retry < $3))
+        ORDER BY id
+    `,
+        [drawId || null, retryFailed, MAX_ATTEMPTS, distributionId || null],
+    );
+
+    const result = { submitted: 0, failed: 0 };
+
+    if (rows.length === 0) {
+        return result;
+    }
+
+    // Paying some winners and leaving the others stuck is worse than paying none
+    await assertSolvent(pool, network, fromAddress);
+
+    for (const distribution of rows) {
+        const { rows: claimed } = await pool.query(
+            `
+            UPDATE distributions
+            SET status = 'Submitted', retry = retry + 1, submitted_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = $2
+            RETURNING id
+        `,
+            [distribution.id, distribution.status],
+        );
+
+        if (claimed.length === 0) {
+            // Another run got to it first
+            continue;
+        }
+
+        const log = logger.child({
+            draw_id: distribution.draw_id,
+            distribution_id: distribution.id,
+        });
+        const labels = {
+            kind: payoutKind(distribution.payout_type),
+            retry: String(distribution.retry > 0),
+        };
+        payoutAttempts.inc(labels);
+
+        try {
+            const { hash, timestamp } = await network.transfer(
+                distribution.public_key,
+                toDatum(distribution.prize),
+                toDatum(distribution.fee_paid),
+            );
+
+            await pool.query(
+                `UPDATE distributions
+                 SET hash = $2, transaction_datetime = $3, error_message = NULL, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1`,
+                [distribution.id, hash, new Date(timestamp)],
+            );
+
+            log.info("Submitted distribution", { hash });
+            payoutSuccesses.inc(labels);
+            result.submitted++;
+
+            await announce(pool, "payout.sent", {
+                ...describePayout(distribution),
+                hash,
+                attempt: distribution.retry + 1,
+            });
+
+            await delay(pauseMs);
+        } catch (error) {
+            log.error("Failed to transfer distribution", { error });
+            payoutFailures.inc(labels);
+
+            await pool.query(
+                `UPDATE distributions
+                 SET status = 'Failed', error_message = $2, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1`,
+                [distribution.id, error.message],
+            );
+            result.failed++;
+
+            // The retry job won't send it again, someone has to look at it
+            if (distribution.retry + 1 >= MAX_ATTEMPTS) {
+                await announce(pool, "payout.failed", {
+                    ...describePayout(distribution),
+                    attempts: distribution.retry + 1,
+                    error: error.message,
+                });
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Gives a failed distribution its attempts back, so the next payout run sends it again
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} id - Distribution id
+ * @returns {Object|null} The distribution, null when it isn't Failed
+ */
+async function requeueDistribution(pool, id) {
+    const { rows } = await pool.query(
+        `
+        UPDATE distributions
+        SET retry = 0, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+          AND status = 'Failed'
+        RETURNING id, draw_id, public_key, payout_type, prize, status, retry
+    `,
+        [id],
+    );
+
+    return rows[0] || null;
+}
+
+/**
+ * Voids a distribution that was never accepted by the network, inside the
+ * caller's transaction. What it would have sent is booked to the house.
+ * @param {Object} client - PostgreSQL client in a transaction
+ * @param {number} id - Distribution id
+ * @param {string} reason - Why it is voided, kept as its error message
+ * @returns {Object|null} The voided distribution, null when it isn't Planned or Failed
+ */
+async function voidUnsentDistribution(client, id, reason) {
+    const { rows } = await client.query(
+        `
+        UPDATE distributions
+        SET status = 'Voided', error_message = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+          AND status IN ('Planned', 'Failed')
+        RETURNING id, draw_id, public_key, payout_type, prize, fee_paid, status
+    `,
+        [id, `Voided: ${reason}`],
+    );
+
+    if (rows.length === 0) {
+        return null;
+    }
+
+    const voided = rows[0];
+    await recordEntry(client, {
+        key: `distribution-${voided.id}:voided`,
+        type: "voided",
+        drawId: voided.draw_id,
+        distributionId: voided.id,
+        amount: toDatum(voided.prize) + toDatum(voided.fee_paid),
+    });
+
+    logger.warn("Voided distribution", {
+        draw_id: voided.draw_id,
+        distribution_id: voided.id,
+        reason,
+    });
+
+    return voided;
+}
+
+/**
+ * Gives up on a distribution that was never accepted by the network. What it
+ * would have sent stays on the wallet and is booked to the house, so an
+ * operator can settle it by hand or sweep it.
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} id - Distribution id
+ * @param {string} reason - Why it is voided, kept as its error message
+ * @returns {Object|null} The voided distribution, null when it isn't Planned or Failed
+ */
+async function voidDistribution(pool, id, reason) {
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        const voided = await voidUnsentDistribution(client, id, reason);
+        await client.query(voided ? "COMMIT" : "ROLLBACK");
+
+        return voided;
+    } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Voids every distribution of a draw that wasn't sent yet, inside the caller's transaction
+ * @param {Object} client - PostgreSQL client in a transaction
+ * @param {number} drawId - ID of the draw
+ * @param {string} reason - Why they are voided, kept as their error message
+ * @returns {Array} The voided distributions
+ */
+async function voidDrawDistributions(client, drawId, reason) {
+    const { rows } = await client.query(
+        `
+        SELECT id FROM distributions
+        WHERE draw_id = $1
+          AND status IN ('Planned', 'Failed')
+        ORDER BY id
+        FOR UPDATE
+    `,
+        [drawId],
+    );
+
+    const voided = [];
+    for (const { id } of rows) {
+        const distribution = await voidUnsentDistribution(client, id, reason);
+        if (distribution) {
+            voided.push(distribution);
+        }
+    }
+
+    return voided;
+}
+
+/**
+ * Marks 'Processing' draws as 'Done' once every payout of their plan is confirmed or failed
+ * @param {Object} pool - PostgreSQL pool
+ * @returns {Array} Round numbers of the draws marked as done
+ */
+async function markPaidDraws(pool) {
+    const { rows } = await pool.query(`
+        UPDATE draws d
+        SET status = 'Done', updated_at = CURRENT_TIMESTAMP
+        WHERE d.status = 'Processing'
+          AND EXISTS (SELECT 1 FROM distributions WHERE draw_id = d.id)
+          AND NOT EXISTS (
+              SELECT 1 FROM distributions
+              WHERE draw_id = d.id
+                AND status IN ('Planned', 'Submitted')
+          )
+        RETURNING d.draw_counter
+    `);
+
+    return rows.map((row) => row.draw_counter);
+}
+
+module.exports = {
+    MAX_ATTEMPTS,
+    describePayout,
+    fetchPayoutPlan,
+    recordPayoutPlan,
+    processPayouts,
+    requeueDistribution,
+    voidDistribution,
+    voidDrawDistributions,
+    markPaidDraws,
+};
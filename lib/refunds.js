@@ -0,0 +1,286 @@
+/**
+ * Refunds
+ *
+ * Deposits that can't enter a draw are sent back instead of being kept:
+ *
+ * - below_minimum        Less than the minimum deposit
+ * - outside_draw_window  Received while no draw was open, e.g. between the end
+ *                        of a draw and the start of the next one
+ * - blocklisted          Sent by an address on the blocklist, decided when the
+ *                        draw closes and commits its participants so a deposit
+ *                        that took part in a draw is never refunded afterwards
+ *                        (for draws settled before commitments existed, the
+ *                        blocklist as the draw ended decides)
+ * - draw_shortfall       Entered a draw that didn't reach its minimum
+ *                        participants or pool (see shortfall.js)
+ * - cancelled_draw       Entered a draw an operator cancelled before it paid
+ *                        out, refunded when it is cancelled or, for deposits
+ *                        synced afterwards, by the refund job
+ * - late_deposit         Made within a draw's window but synced after the draw
+ *                        closed and committed its participants, so it isn't
+ *                        part of the published commitment (see participants.js)
+ *
+ * Each rejected deposit gets a row in the refunds table with its reason, and
+ * its return transfer (the deposit minus the network fee) is queued in the
+ * distributions ledger as a 'refund-<deposit id>' payout, so it is sent,
+ * retried and resumed like any prize. Deposits too small to cover the network
+ * fee are recorded without a transfer and kept by the house (see treasury.js).
+ *
+ * Only deposits received after refunds were first enabled are considered, so
+ * turning them on never pays back old history.
+ */
+
+const { getSetting, setSetting } = require("./settings");
+const { toDatum } = require("./amounts");
+const { recordEntry } = require("./treasury");
+const { logger } = require("./logger");
+
+/**
+ * Date from which rejected deposits are refunded, set the first time refunds run
+ * @param {Object} pool - PostgreSQL pool
+ * @returns {Date} Start of the refund period
+ */
+async function refundsSince(pool) {
+    let since = await getSetting(pool, "refunds_since", null);
+
+    if (!since) {
+        since = new Date().toISOString();
+        await setSetting(pool, "refunds_since", since);
+        logger.info("Refunding rejected deposits", { since });
+    }
+
+    return new Date(since);
+}
+
+/**
+ * What a refund sends back: the deposit less the network fee of the transfer
+ * @param {Object} deposit - { amount }
+ * @param {bigint} networkFee - Network fee of a transfer in datum
+ * @returns {bigint} Amount transferred in datum, 0 when the fee eats the deposit
+ */
+function refundAmount(deposit, networkFee) {
+    const transferred = toDatum(deposit.amount) - networkFee;
+    return transferred > 0n ? transferred : 0n;
+}
+
+/**
+ * Lists the deposits of a draw that have no refund yet
+ * @param {Object} client - PostgreSQL client or pool
+ * @param {number} drawId - ID of the draw
+ * @returns {Array} Deposits ({ id, source, amount, draw_id })
+ */
+async function fetchUnrefundedDeposits(client, drawId) {
+    const { rows } = await client.query(
+        `
+        SELECT d.id, d.source, d.amount, d.draw_id
+        FROM deposits d
+        LEFT JOIN refunds r ON r.deposit_id = d.id
+        WHERE d.draw_id = $1
+          AND r.deposit_id IS NULL
+        ORDER BY d.id
+    `,
+        [drawId],
+    );
+
+    return rows;
+}
+
+/**
+ * Records the refund of a deposit and queues its transfer, inside the caller's transaction
+ * @param {Object} client - PostgreSQL client in a transaction
+ * @param {Object} deposit - { id, source, amount, draw_id }
+ * @param {string} reason - Why the deposit is refunded
+ * @param {bigint} networkFee - Network fee of a transfer in datum, taken off the refund
+ * @returns {Object|undefined} The refund, undefined when the deposit already had one
+ */
+async function recordRefund(client, deposit, reason, networkFee) {
+    const amount = refundAmount(deposit, networkFee);
+
+    // A concurrent run may have recorded it meanwhile
+    const { rowCount } = await client.query(
+        `
+        INSERT INTO refunds (deposit_id, reason, amount)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (deposit_id) DO NOTHING
+    `,
+        [deposit.id, reason, amount],
+    );
+
+    if (rowCount === 0) {
+        return undefined;
+    }
+
+    if (amount === 0n) {
+        await recordEntry(client, {
+            key: `deposit-${deposit.id}:unrefundable`,
+            type: "unrefundable",
+            drawId: deposit.draw_id,
+            amount: toDatum(deposit.amount),
+        });
+    } else {
+        await client.query(
+            `
+            WITH payout AS (
+                INSERT INTO distributions (draw_id, public_key, payout_type, prize, fee_paid, status, retry)
+                VALUES (NULL, $2, $3, $4, $5, 'Planned', 0)
+                RETURNING id
+            )
+            UPDATE refunds SET distribution_id = payout.id
+            FROM payout
+            WHERE refunds.deposit_id = $1
+        `,
+            [
+                deposit.id,
+                deposit.source,
+                `refund-${deposit.id}`,
+                amount,
+                networkFee,
+            ],
+        );
+    }
+
+    return {
+        deposit_id: deposit.id,
+        public_key: deposit.source,
+        reason,
+        amount,
+    };
+}
+
+/**
+ * Refunds every deposit of a draw that has no refund yet, inside the caller's transaction
+ * @param {Object} client - PostgreSQL client in a transaction
+ * @param {Object} options
+ * @param {number} options.drawId - ID of the draw
+ * @param {string} options.reason - Why the draw is refunded
+ * @param {bigint} options.networkFee - Network fee of a transfer in datum, taken off each refund
+ * @returns {Array} Refunds queued ({ deposit_id, public_key, reason, amount })
+ */
+async function refundDrawDeposits(client, { drawId, reason, networkFee }) {
+    const deposits = await fetchUnrefundedDeposits(client, drawId);
+
+    const queued = [];
+    for (const deposit of deposits) {
+        const refund = await recordRefund(client, deposit, reason, networkFee);
+        if (refund) {
+            queued.push(refund);
+        }
+    }
+
+    return queued;
+}
+
+/**
+ * Records the rejected deposits that have no refund yet and queues their transfers
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} options
+ * @param {bigint} options.minAmount - Minimum deposit in datum
+ * @param {bigint} options.networkFee - Network fee of a transfer in datum, taken off the refund
+ * @returns {Array} Refunds queued ({ deposit_id, public_key, reason, amount })
+ */
+async function queueRefunds(pool, { minAmount, networkFee }) {
+    const since = await refundsSince(pool);
+
+    const { rows: rejected } = await pool.query(
+        `
+        SELECT d.id, d.source, d.amount, d.draw_id,
+               CASE
+                   WHEN d.amount < $1 THEN 'below_minimum'
+                   WHEN d.draw_id IS NULL THEN 'outside_draw_window'
+                   WHEN w.status = 'Cancelled' THEN 'cancelled_draw'
+                   WHEN w.participants_committed_at IS NOT NULL
+                        AND d.committed IS NULL THEN 'late_deposit'
+                   ELSE 'blocklisted'
+               END AS reason
+        FROM deposits d
+        LEFT JOIN draws w ON w.id = d.draw_id
+        LEFT JOIN refunds r ON r.deposit_id = d.id
+        WHERE r.deposit_id IS NULL
+          AND d.transaction_datetime >= $2
+          AND (d.amount < $1
+               -- Left out of the committed participants, i.e. blocklisted as the draw closed
+               OR d.committed = false
+               -- Settled before commitments existed: blocklisted as the draw ended
+               OR (w.participants_committed_at IS NULL
+                   AND w.status IN ('Done', 'RolledOver')
+                   AND EXISTS (SELECT 1 FROM blocklist b
+                               WHERE b.public_key = d.source
+                                 AND b.created_at <= w.date_end
+                                 AND (b.expires_at IS NULL OR b.expires_at > w.date_end)))
+               OR w.status = 'Cancelled'
+               OR (w.participants_committed_at IS NOT NULL AND d.committed IS NULL)
+               -- Untagged although a later draw is already scheduled: no draw covers it
+               OR (d.draw_id IS NULL
+                   AND EXISTS (SELECT 1 FROM draws
+                               WHERE status <> 'Cancelled'
+                                 AND date_start > d.transaction_datetime)))
+        ORDER BY d.id
+    `,
+        [minAmount, since],
+    );
+
+    const queued = [];
+
+    for (const deposit of rejected) {
+        const client = await pool.connect();
+
+        try {
+            await client.query("BEGIN");
+            const refund = await recordRefund(
+                client,
+                deposit,
+                deposit.reason,
+                networkFee,
+            );
+            await client.query("COMMIT");
+
+            if (refund) {
+                queued.push(refund);
+            }
+        } catch (error) {
+            await client.query("ROLLBACK");
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    if (queued.length > 0) {
+        logger.info("Queued refunds", { count: queued.length });
+    }
+
+    return queued;
+}
+
+/**
+ * Lists the refunds of an address with the state of their transfer
+ * @param {Object} pool - PostgreSQL pool
+ * @param {string} address - Address that sent the deposits
+ * @returns {Array} Refunds, most recent first
+ */
+async function listRefunds(pool, address) {
+    const { rows } = await pool.query(
+        `
+        SELECT d.hash AS deposit_hash, d.amount AS deposited, d.transaction_datetime AS deposited_at,
+               r.reason, r.amount, r.created_at,
+               COALESCE(t.status, 'Not refundable') AS status,
+               t.hash, t.transaction_datetime, t.error_message
+        FROM refunds r
+        JOIN deposits d ON d.id = r.deposit_id
+        LEFT JOIN distributions t ON t.id = r.distribution_id
+        WHERE d.source = $1
+        ORDER BY d.transaction_datetime DESC
+    `,
+        [address],
+    );
+
+    return rows;
+}
+
+module.exports = {
+    refundAmount,
+    fetchUnrefundedDeposits,
+    queueRefunds,
+    refundDrawDeposits,
+    listRefunds,
+};
@@ -0,0 +1,479 @@
+/**
+ * Draw audit reports
+ *
+ * Everything needed to check a completed draw from the outside, in one
+ * document served by GET /draws/:counter/report:
+ *
+ * - every deposit of the draw window with its hash, amount and timestamp,
+ *   eligible or excluded with the reason (below_minimum, outside_draw_window,
+ *   blocklisted, late_deposit)
+ * - the participants, grouped by address and sorted the way the selection
+ *   lays them out, with the range of tickets each one held
+ * - the winner calculation: seed commitment and reveal, chain entropy, total
+ *   tickets, winning ticket and winners, re-run from the eligible deposits and
+ *   checked against what the draw recorded, participants_root included
+ * - the totals and every distribution of the draw (refunds of its deposits
+ *   included) with its hash and status
+ *
+ * The report is signed with the game wallet's key (secp256k1 over SHA-512, as
+ * dag4's keyStore.sign), so anyone holding it can check it came from the
+ * wallet that took the deposits. Which deposits were excluded is read from
+ * what the draw committed when it closed (see participants.js), or, for draws
+ * settled before commitments existed, from their refunds, never from today's
+ * blocklist.
+ */
+
+const { dag4 } = require("@stardust-collective/dag4");
+const { selectWinners, selectWinner, commitSeed } = require("./fairness");
+const { getStrategy } = require("./strategies");
+const { buildMerkleTree } = require("./merkle");
+const { toDatum, jsonReplacer } = require("./amounts");
+
+// Draws whose report no longer changes, except for payouts still confirming
+const REPORT_STATUSES = ["Done", "RolledOver", "Refunded"];
+
+const SIGNATURE_ALGORITHM = "secp256k1-sha512";
+
+const CSV_COLUMNS = [
+    "record",
+    "key",
+    "hash",
+    "address",
+    "amount",
+    "fee",
+    "timestamp",
+    "status",
+    "detail",
+];
+
+const toNumber = (value) => (value === null ? null : Number(value));
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+/**
+ * Tells why a deposit can't enter its draw
+ * @param {Object} deposit - Deposit row with its commitment state and refund reason
+ * @param {Object} draw - Row of the draws table
+ * @param {bigint} minAmount - Minimum deposit in datum
+ * @returns {string|null} The reason, null when the deposit is eligible
+ */
+function exclusionReason(deposit, draw, minAmount) {
+    const time = new Date(deposit.transaction_datetime);
+
+    if (
+        deposit.draw_id === null ||
+        time < draw.date_start ||
+        time > draw.date_end
+    ) {
+        return "outside_draw_window";
+    }
+    if (toDatum(deposit.amount) < minAmount) {
+        return "below_minimum";
+    }
+    if (draw.participants_committed_at) {
+        if (deposit.committed === null) {
+            return "late_deposit";
+        }
+        // Left out of the commitment for a reason other than its amount
+        return deposit.committed ? null : "blocklisted";
+    }
+    if (deposit.refund_reason === "blocklisted") {
+        return "blocklisted";
+    }
+
+    return null;
+}
+
+/**
+ * Re-runs the selection of a draw from its eligible deposits
+ * @param {Object} draw - Row of the draws table
+ * @param {Array} participants - Grouped deposits ({ source, amount } in datum)
+ * @returns {Object} Seed values, ticket, winners and the checks against the draw
+ */
+function winnerCalculation(draw, participants) {
+    const calculation = {
+        seed_commitment: draw.seed_commitment,
+        seed_reveal: draw.seed_reveal,
+        chain_entropy: draw.chain_entropy,
+        message: draw.seed_reveal
+            ? `${draw.seed_reveal}:${draw.chain_entropy || ""}`
+            : null,
+        total_tickets: participants.reduce((sum, p) => sum + p.amount, 0n),
+        winning_ticket: draw.winning_ticket,
+        winner: draw.winner_public_key,
+        winners: [],
+        checks: {
+            seed_matches_commitment: draw.seed_reveal
+                ? commitSeed(draw.seed_reveal) === draw.seed_commitment
+                : null,
+            participants_match_root: draw.participants_root
+                ? buildMerkleTree(participants).root === draw.participants_root
+                : null,
+            ticket_matches: null,
+            winner_matches: null,
+        },
+    };
+
+    // Draws that ended short of their minimums select nobody
+    if (
+        !draw.winning_ticket ||
+        !draw.seed_reveal ||
+        participants.length === 0
+    ) {
+        return calculation;
+    }
+
+    const { winner, ticket } = selectWinner(
+        participants,
+        draw.seed_reveal,
+        draw.chain_entropy,
+    );
+    const count = getStrategy(draw.distribution_strategy).winners(
+        draw.distribution_options || {},
+    );
+
+    calculation.winners = selectWinners(
+        participants,
+        draw.seed_reveal,
+        draw.chain_entropy,
+        count,
+    ).map((participant) => participant.source);
+    calculation.checks.ticket_matches = ticket === String(draw.winning_ticket);
+    calculation.checks.winner_matches =
+        winner.source === draw.winner_public_key;
+
+    return calculation;
+}
+
+/**
+ * Builds the audit report of a draw
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} counter - Round number
+ * @param {Object} options
+ * @param {bigint} options.minAmount - Minimum deposit in datum
+ * @param {string} options.network - Network the game plays on
+ * @param {string} options.wallet - Game wallet address (PUBLIC_KEY)
+ * @returns {Object|null} The report, amounts in datum (BigInt), null when there is no such round
+ */
+async function buildDrawReport(pool, counter, { minAmount, network, wallet }) {
+    const { rows: draws } = await pool.query(
+        `SELECT * FROM draws WHERE draw_counter = $1`,
+        [counter],
+    );
+
+    if (draws.length === 0) {
+        return null;
+    }
+
+    const [draw] = draws;
+
+    const { rows: deposits } = await pool.query(
+        `
+        SELECT d.id, d.hash, d.source, d.amount, d.transaction_datetime,
+               d.draw_id, d.committed, r.reason AS refund_reason
+        FROM deposits d
+        LEFT JOIN refunds r ON r.deposit_id = d.id
+        WHERE d.draw_id = $1
+           -- Received during the window but tagged with no draw
+           OR (d.draw_id IS NULL
+               AND d.transaction_datetime BETWEEN $2 AND $3)
+        ORDER BY d.transaction_datetime, d.id
+    `,
+        [draw.id, draw.date_start, draw.date_end],
+    );
+
+    const { rows: distributions } = await pool.query(
+        `
+        SELECT id, public_key, payout_type, prize, fee_paid, status, hash,
+               transaction_datetime, confirmed_at, snapshot_ordinal
+        FROM distributions
+        WHERE draw_id = $1
+           OR id IN (SELECT distribution_id FROM refunds
+                     WHERE deposit_id = ANY($2))
+        ORDER BY id
+    `,
+        [draw.id, deposits.map((deposit) => deposit.id)],
+    );
+
+    const eligible = [];
+    const excluded = [];
+
+    for (const deposit of deposits) {
+        const entry = {
+            hash: deposit.hash,
+            source: deposit.source,
+            amount: toDatum(deposit.amount),
+            timestamp: toIso(deposit.transaction_datetime),
+        };
+        const reason = exclusionReason(deposit, draw, minAmount);
+
+        if (reason) {
+            excluded.push({ ...entry, reason });
+        } else {
+            eligible.push(entry);
+        }
+    }
+
+    // Laid out by address like the selection does, each holding a ticket per datum
+    const amounts = new Map();
+    for (const deposit of eligible) {
+        amounts.set(
+            deposit.source,
+            (amounts.get(deposit.source) || 0n) + deposit.amount,
+        );
+    }
+    const sources = [...amounts.keys()].sort((a, b) =>
+        a < b ? -1 : a > b ? 1 : 0,
+    );
+    let nextTicket = 0n;
+    const participants = sources.map((source) => {
+        const amount = amounts.get(source);
+        const participant = {
+            source,
+            amount,
+            first_ticket: nextTicket,
+            last_ticket: nextTicket + amount - 1n,
+        };
+        nextTicket += amount;
+        return participant;
+    });
+
+    return {
+        round_number: draw.draw_counter,
+        status: draw.status,
+        network,
+        wallet,
+        start: toIso(draw.date_start),
+        end: toIso(draw.date_end),
+        participants_root: draw.participants_root,
+        rules: {
+            min_deposit: minAmount,
+            fee: toNumber(draw.fee),
+            distribution_strategy: draw.distribution_strategy,
+            distribution_options: draw.distribution_options || {},
+            min_participants: draw.min_participants,
+            min_pool: draw.min_pool === null ? null : toDatum(draw.min_pool),
+            shortfall_action: draw.shortfall_action,
+        },
+        deposits: { eligible, excluded },
+        participants,
+        totals: {
+            deposits: deposits.length,
+            eligible_deposits: eligible.length,
+            excluded_deposits: excluded.length,
+            participants: participants.length,
+            total_collected:
+                draw.total_collected === null
+                    ? null
+                    : toDatum(draw.total_collected),
+            eligible_amount: nextTicket,
+            carried_over:
+                draw.carried_over === null ? null : toDatum(draw.carried_over),
+            house_fee: draw.house_fee === null ? null : toDatum(draw.house_fee),
+            rounding_remainder:
+                draw.rounding_remainder === null
+                    ? null
+                    : toDatum(draw.rounding_remainder),
+        },
+        winner_calculation: winnerCalculation(draw, participants),
+        distributions: distributions.map((row) => ({
+            id: row.id,
+            receiver: row.public_key,
+            payout_type: row.payout_type,
+            amount: toDatum(row.prize),
+            fee: toDatum(row.fee_paid),
+            status: row.status,
+            hash: row.hash,
+            transaction_datetime: toIso(row.transaction_datetime),
+            confirmed_at: toIso(row.confirmed_at),
+            snapshot_ordinal:
+                row.snapshot_ordinal === null
+                    ? null
+                    : Number(row.snapshot_ordinal),
+        })),
+    };
+}
+
+/**
+ * Serializes a report the way it is signed: compact JSON, amounts as strings of datum
+ * @param {Object} report - Report built by buildDrawReport
+ * @returns {string} The signed text of the JSON report
+ */
+function serializeReport(report) {
+    return JSON.stringify(report, jsonReplacer);
+}
+
+/**
+ * Quotes a CSV field when it needs it
+ * @param {*} value - Field value
+ * @returns {string} The field
+ */
+function csvField(value) {
+    if (value === null || typeof value === "undefined") {
+        return "";
+    }
+
+    const text = typeof value === "object" ? JSON.stringify(value) : `${value}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes one CSV line
+ * @param {Object} record - Values by column name
+ * @returns {string} The line, with its line break
+ */
+function csvLine(record) {
+    return `${CSV_COLUMNS.map((column) => csvField(record[column])).join(",")}\n`;
+}
+
+/**
+ * Lays a report out as CSV, one line per value, deposit, participant,
+ * winner and distribution, told apart by the record column
+ * @param {Object} report - Report built by buildDrawReport
+ * @returns {string} The signed text of the CSV report
+ */
+function reportToCsv(report) {
+    const { winner_calculation: calculation } = report;
+    const lines = [`${CSV_COLUMNS.join(",")}\n`];
+    const value = (key, detail) =>
+        lines.push(csvLine({ record: "draw", key, detail }));
+
+    value("round_number", report.round_number);
+    value("status", report.status);
+    value("network", report.network);
+    value("wallet", report.wallet);
+    value("start", report.start);
+    value("end", report.end);
+    value("participants_root", report.participants_root);
+    for (const [key, detail] of Object.entries(report.rules)) {
+        value(key, detail);
+    }
+    for (const [key, detail] of Object.entries(report.totals)) {
+        value(key, detail);
+    }
+    for (const key of [
+        "seed_commitment",
+        "seed_reveal",
+        "chain_entropy",
+        "message",
+        "total_tickets",
+        "winning_ticket",
+        "winner",
+    ]) {
+        value(key, calculation[key]);
+    }
+    for (const [key, detail] of Object.entries(calculation.checks)) {
+        value(`check_${key}`, detail);
+    }
+
+    for (const deposit of report.deposits.eligible) {
+        lines.push(
+            csvLine({
+                record: "deposit",
+                hash: deposit.hash,
+                address: deposit.source,
+                amount: deposit.amount,
+                timestamp: deposit.timestamp,
+                status: "eligible",
+            }),
+        );
+    }
+    for (const deposit of report.deposits.excluded) {
+        lines.push(
+            csvLine({
+                record: "deposit",
+                hash: deposit.hash,
+                address: deposit.source,
+                amount: deposit.amount,
+                timestamp: deposit.timestamp,
+                status: "excluded",
+                detail: deposit.reason,
+            }),
+        );
+    }
+    for (const participant of report.participants) {
+        lines.push(
+            csvLine({
+                record: "participant",
+                address: participant.source,
+                amount: participant.amount,
+                detail: `${participant.first_ticket}-${participant.last_ticket}`,
+            }),
+        );
+    }
+    calculation.winners.forEach((address, index) =>
+        lines.push(csvLine({ record: "winner", key: index + 1, address })),
+    );
+    for (const distribution of report.distributions) {
+        lines.push(
+            csvLine({
+                record: "distribution",
+                key: distribution.id,
+                hash: distribution.hash,
+                address: distribution.receiver,
+                amount: distribution.amount,
+                fee: distribution.fee,
+                timestamp: distribution.transaction_datetime,
+                status: distribution.status,
+                detail: distribution.payout_type,
+            }),
+        );
+    }
+
+    return lines.join("");
+}
+
+/**
+ * Creates the signer of the reports from the game wallet's key
+ * @param {string} [privateKey] - PRIVATE_KEY
+ * @returns {Object|null} { address, publicKey, sign(text) }, null without a key
+ */
+function createReportSigner(privateKey) {
+    if (!privateKey) {
+        return null;
+    }
+
+    const publicKey = dag4.keyStore.getPublicKeyFromPrivate(privateKey);
+    const address = dag4.keyStore.getDagAddressFromPublicKey(publicKey);
+
+    return {
+        address,
+        publicKey,
+        /**
+         * Signs the exact text of a report
+         * @param {string} text - Serialized report
+         * @returns {Object} { algorithm, address, public_key, value }
+         */
+        sign: async (text) => ({
+            algorithm: SIGNATURE_ALGORITHM,
+            address,
+            public_key: publicKey,
+            value: await dag4.keyStore.sign(privateKey, text),
+        }),
+    };
+}
+
+/**
+ * Checks a report signature, as a player would
+ * @param {string} text - Serialized report, exactly as signed
+ * @param {Object} signature - { address, public_key, value }
+ * @returns {boolean} True when the key belongs to the address and signed the text
+ */
+function verifyReport(text, signature) {
+    return (
+        dag4.keyStore.getDagAddressFromPublicKey(signature.public_key) ===
+            signature.address &&
+        Boolean(
+            dag4.keyStore.verify(signature.public_key, text, signature.value),
+        )
+    );
+}
+
+module.exports = {
+    REPORT_STATUSES,
+    CSV_COLUMNS,
+    buildDrawReport,
+    serializeReport,
+    reportToCsv,
+    createReportSigner,
+    verifyReport,
+};
@@ -0,0 +1,687 @@
+/**
+ * Operator routes
+ *
+ * Token-authenticated endpoints to control the draws without editing
+ * Postgres by hand. Every POST, PATCH and DELETE needs a "reason" in its JSON body and is
+ * written to the audit log.
+ *
+ * GET  /admin/schedule                      - Whether the schedule is paused
+ * POST /admin/schedule/pause                - Stop the scheduled draw and retry jobs
+ * POST /admin/schedule/resume               - Start them again
+ * GET  /admin/schedule/upcoming             - Scheduled pending draws and a preview of the next ones
+ * POST /admin/schedule/generate             - Create pending draws up to the lookahead now
+ * PATCH /admin/draws/:counter               - Adjust a pending draw (window, distribution strategy, minimums)
+ * POST /admin/draws/finalize                - Finalize the running draw ({ force } skips the end date check)
+ * POST /admin/draws/start                   - Start the next pending draw
+ * POST /admin/draws/:counter/calculate      - Calculate and pay the prizes of a processing draw
+ *                                             ({ dry_run } only previews them, PAYOUT_DRY_RUN sets the default)
+ * GET  /admin/draws/:counter/previews       - Payout previews stored by the dry runs of a draw
+ * POST /admin/draws/:counter/cancel         - Cancel a draw that is not done yet, refunding its deposits
+ * POST /admin/distributions/:id/requeue     - Give a failed distribution its retries back
+ * GET  /admin/blocklist                     - Every blocklist entry, expired ones included
+ * POST /admin/blocklist                     - Block an address ({ public_key, reason, expires_at })
+ * DELETE /admin/blocklist/:address          - Unblock an address
+ * GET  /admin/treasury                      - Reconciliation of the wallet balance with the books
+ * GET  /admin/treasury/draws                - House revenue, fees paid and rollovers of the latest draws
+ * POST /admin/treasury/sweep                - Send the house's surplus to the cold wallet
+ * GET  /admin/webhooks                      - Webhook subscriptions, without their secrets
+ * POST /admin/webhooks                      - Subscribe a URL ({ url, events, description, secret }), answers with its secret
+ * DELETE /admin/webhooks/:id                - Disable a subscription, its pending deliveries are cancelled
+ * GET  /admin/webhooks/deliveries           - Latest deliveries (?status, ?subscription_id, ?limit)
+ * POST /admin/webhooks/deliveries/:id/redeliver - Send a delivery again from its first attempt
+ * GET  /admin/audit-log                     - Latest audit log entries
+ */
+
+const express = require("express");
+const { requireOperator, auditedAction, httpError } = require("../admin");
+const { getSetting, setSetting } = require("../settings");
+const { validateOptions } = require("../strategies");
+const { previewSchedule, ensureUpcomingDraws } = require("../schedule");
+const { SHORTFALL_ACTIONS } = require("../shortfall");
+const { toDatum } = require("../amounts");
+const {
+    recordRollover,
+    recordCancellation,
+    listDrawLedger,
+} = require("../treasury");
+const { requeueDistribution, voidDrawDistributions } = require("../payouts");
+const { refundDrawDeposits } = require("../refunds");
+const { isValidDagAddress } = require("../network/profiles");
+const {
+    WEBHOOK_EVENTS,
+    listSubscriptions,
+    addSubscription,
+    disableSubscription,
+    listDeliveries,
+    redeliver,
+} = require("../webhooks");
+const { logger } = require("../logger");
+const {
+    listBlocklist,
+    addToBlocklist,
+    removeFromBlocklist,
+} = require("../blocklist");
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.pool - PostgreSQL pool
+ * @param {Array} deps.operators - Operators allowed in ({ operator, token })
+ * @param {Object} deps.actions - Draw lifecycle and treasury steps
+ *   ({ finalizeDraw, startNewDraw, calculatePrizes, checkTreasury, sweepTreasury })
+ * @param {Object} deps.scheduleConfig - Cadence used to generate upcoming draws
+ * @param {bigint} deps.networkFee - Network fee of a transfer in datum, taken off refunds
+ * @returns {express.Router} Router to mount at the root of the app
+ */
+function createAdminRouter({
+    pool,
+    operators,
+    actions,
+    scheduleConfig,
+    networkFee,
+}) {
+    const router = express.Router();
+    router.use("/admin", express.json(), requireOperator(operators));
+
+    router.get("/admin/schedule", async (req, res) => {
+        try {
+            const paused = await getSetting(pool, "schedule_paused", false);
+            res.status(200).json({ paused });
+        } catch (error) {
+            logger.error("Error fetching the schedule state", { error });
+            res.status(500).json({
+                error: "An error occurred while fetching the schedule state",
+            });
+        }
+    });
+
+    router.post(
+        "/admin/schedule/pause",
+        auditedAction(pool, "schedule.pause", async () => {
+            await setSetting(pool, "schedule_paused", true);
+            return { paused: true };
+        }),
+    );
+
+    router.post(
+        "/admin/schedule/resume",
+        auditedAction(pool, "schedule.resume", async () => {
+            await setSetting(pool, "schedule_paused", false);
+            return { paused: false };
+        }),
+    );
+
+    router.get("/admin/schedule/upcoming", async (req, res) => {
+        const count = parseInt(req.query.count || "0", 10) || undefined;
+
+        try {
+            const { rows: scheduled } = await pool.query(`
+                SELECT draw_counter, date_start, date_end, distribution_strategy, distribution_options
+                FROM draws
+                WHERE status = 'Pending'
+                  AND date_end > CURRENT_TIMESTAMP
+                ORDER BY date_start
+            `);
+
+            res.status(200).json({
+                config: scheduleConfig,
+                scheduled,
+                preview: await previewSchedule(
+                    pool,
+                    scheduleConfig,
+                    Math.min(count || scheduleConfig.lookahead, 100),
+                ),
+            });
+        } catch (error) {
+            logger.error("Error previewing the schedule", { error });
+            res.status(500).json({
+                error: "An error occurred while previewing the schedule",
+            });
+        }
+    });
+
+    router.post(
+        "/admin/schedule/generate",
+        auditedAction(pool, "schedule.generate", async () => ({
+            created: await ensureUpcomingDraws(pool, scheduleConfig),
+        })),
+    );
+
+    router.patch(
+        "/admin/draws/:counter",
+        auditedAction(pool, "draw.update", async (req) => {
+            const counter = parseInt(req.params.counter, 10);
+            const {
+                date_start,
+                date_end,
+                distribution_strategy,
+                distribution_options,
+                min_participants,
+                min_pool,
+                shortfall_action,
+            } = req.body;
+
+            const { rows: draws } = await pool.query(
+                `
+                SELECT id, date_start, date_end, status, distribution_strategy, distribution_options
+                FROM draws
+                WHERE draw_counter = $1
+            `,
+                [counter],
+            );
+
+            if (draws.length === 0) {
+                throw httpError(404, "Draw not found");
+            }
+            if (draws[0].status !== "Pending") {
+                throw httpError(409, "Only pending draws can be adjusted");
+            }
+
+            const start = date_start
+                ? new Date(date_start)
+                : draws[0].date_start;
+            const end = date_end ? new Date(date_end) : draws[0].date_end;
+
+            if (isNaN(start) || isNaN(end) || start >= end) {
+                throw httpError(
+                    400,
+                    "date_start and date_end must be ISO timestamps with date_start before date_end",
+                );
+            }
+            if (distribution_strategy || distribution_options) {
+                // The options that will be stored must fit the strategy that will be
+                try {
+                    validateOptions(
+                        distribution_strategy || draws[0].distribution_strategy,
+                        distribution_options ||
+                            draws[0].distribution_options ||
+                            {},
+                    );
+                } catch (error) {
+                    throw httpError(400, error.message);
+                }
+            }
+
+            if (
+                min_participants !== undefined &&
+                !(Number.isInteger(min_participants) && min_participants >= 1)
+            ) {
+                throw httpError(
+                    400,
+                    "min_participants must be a positive integer",
+                );
+            }
+            let minPool = null;
+            if (min_pool !== undefined) {
+                try {
+                    minPool = toDatum(min_pool);
+                } catch (error) {
+                    throw httpError(400, "min_pool must be an amount of datum");
+                }
+                if (minPool < 0n) {
+                    throw httpError(400, "min_pool can't be negative");
+                }
+            }
+            if (
+                shortfall_action !== undefined &&
+                !SHORTFALL_ACTIONS.includes(shortfall_action)
+            ) {
+                throw httpError(
+                    400,
+                    `shortfall_action must be one of: ${SHORTFALL_ACTIONS.join(", ")}`,
+                );
+            }
+
+            const { rows: overlapping } = await pool.query(
+                `
+                SELECT draw_counter
+                FROM draws
+                WHERE id <> $1
+                  AND status <> 'Cancelled'
+                  AND tstzrange(date_start, date_end, '[]') && tstzrange($2, $3, '[]')
+            `,
+                [draws[0].id, start, end],
+            );
+
+            if (overlapping.length > 0) {
+                throw httpError(
+                    409,
+                    `The new window overlaps draw ${overlapping[0].draw_counter}`,
+                );
+            }
+
+            const { rows } = await pool.query(
+                `
+                UPDATE draws
+                SET date_start = $2,
+                    date_end = $3,
+                    distribution_strategy = COALESCE($4, distribution_strategy),
+                    distribution_options = COALESCE($5, distribution_options),
+                    min_participants = COALESCE($6, min_participants),
+                    min_pool = COALESCE($7, min_pool),
+                    shortfall_action = COALESCE($8, shortfall_action),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING draw_counter, date_start, date_end, distribution_strategy, distribution_options,
+                          min_participants, min_pool, shortfall_action
+            `,
+                [
+                    draws[0].id,
+                    start,
+                    end,
+                    distribution_strategy || null,
+                    distribution_options
+                        ? JSON.stringify(distribution_options)
+                        : null,
+                    min_participants === undefined ? null : min_participants,
+                    minPool,
+                    shortfall_action || null,
+                ],
+            );
+
+            return rows[0];
+        }),
+    );
+
+    router.post(
+        "/admin/draws/finalize",
+        auditedAction(pool, "draw.finalize", async (req) =>
+            actions.finalizeDraw({ force: req.body.force === true }),
+        ),
+    );
+
+    router.post(
+        "/admin/draws/start",
+        auditedAction(pool, "draw.start", async () => actions.startNewDraw()),
+    );
+
+    router.post(
+        "/admin/draws/:counter/calculate",
+        auditedAction(pool, "draw.calculate", async (req) => {
+            const counter = parseInt(req.params.counter, 10);
+            const { dry_run } = req.body;
+
+            if (dry_run !== undefined && typeof dry_run !== "boolean") {
+                throw httpError(400, "dry_run must be true or false");
+            }
+
+            const result = await actions.calculatePrizes(counter, {
+                dryRun: dry_run,
+                requestedBy: req.operator,
+            });
+
+            if (!result) {
+                throw httpError(
+                    409,
+                    `Draw ${counter} has no eligible deposits to pay`,
+                );
+            }
+
+            return result;
+        }),
+    );
+
+    router.get("/admin/draws/:counter/previews", async (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit || "20", 10), 100);
+
+        try {
+            const { rows } = await pool.query(
+                `
+                SELECT p.id, p.requested_by, p.created_at, p.preview
+                FROM payout_previews p
+                JOIN draws d ON d.id = p.draw_id
+                WHERE d.draw_counter = $1
+                ORDER BY p.id DESC
+                LIMIT $2
+            `,
+                [parseInt(req.params.counter, 10), limit > 0 ? limit : 20],
+            );
+            res.status(200).json(rows);
+        } catch (error) {
+            logger.error("Error fetching the payout previews", { error });
+            res.status(500).json({
+                error: "An error occurred while fetching the payout previews",
+            });
+        }
+    });
+
+    router.post(
+        "/admin/draws/:counter/cancel",
+        auditedAction(pool, "draw.cancel", async (req) => {
+            const client = await pool.connect();
+            try {
+                await client.query("BEGIN");
+
+                const { rows } = await client.query(
+                    `
+                    UPDATE draws
+                    SET status = 'Cancelled', updated_at = CURRENT_TIMESTAMP
+                    WHERE draw_counter = $1
+                      AND status IN ('Pending', 'Running', 'Processing')
+                    RETURNING id, draw_counter, status, date_start, carried_over
+                `,
+                    [parseInt(req.params.counter, 10)],
+                );
+
+                if (rows.length === 0) {
+                    throw httpError(
+                        409,
+                        "Draw not found or already done or cancelled",
+                    );
+                }
+
+                // A jackpot carried into the draw moves on to the next one
+                const { id, date_start, ...cancelled } = rows[0];
+                cancelled.carried_over_to = null;
+
+                // Once a payout reached the network the draw can't be taken back
+                const { rows: sent } = await client.query(
+                    `
+                    SELECT 1 FROM distributions
+                    WHERE draw_id = $1
+                      AND status IN ('Submitted', 'Confirmed')
+                    LIMIT 1
+                `,
+                    [id],
+                );
+
+                if (sent.length > 0) {
+                    throw httpError(
+                        409,
+                        "The draw already sent payouts, void its remaining ones instead",
+                    );
+                }
+
+                // Nothing of the plan is paid, the deposits go back to their senders
+                cancelled.voided = (
+                    await voidDrawDistributions(
+                        client,
+                        id,
+                        `Draw cancelled: ${req.body.reason.trim()}`,
+                    )
+                ).map((distribution) => distribution.id);
+                await recordCancellation(client, id);
+                cancelled.refunds = await refundDrawDeposits(client, {
+                    drawId: id,
+                    reason: "cancelled_draw",
+                    networkFee,
+                });
+
+                if (toDatum(cancelled.carried_over) > 0n) {
+                    const { rows: next } = await client.query(
+                        `
+                        UPDATE draws
+                        SET carried_over = carried_over + $2, updated_at = CURRENT_TIMESTAMP
+                        WHERE id = (
+                            SELECT id FROM draws
+                            WHERE status IN ('Pending', 'Running')
+                              AND date_start > $1
+                            ORDER BY date_start
+                            LIMIT 1
+                        )
+                        RETURNING id, draw_counter
+                    `,
+                        [date_start, cancelled.carried_over],
+                    );
+
+                    if (next.length === 0) {
+                        throw httpError(
+                            409,
+                            "The draw carries a jackpot and no upcoming draw can take it over",
+                        );
+                    }
+
+                    await client.query(
+                        `UPDATE draws SET rolled_over_to = $2 WHERE id = $1`,
+                        [id, next[0].id],
+                    );
+                    await recordRollover(client, {
+                        fromDrawId: id,
+                        toDrawId: next[0].id,
+                        amount: toDatum(cancelled.carried_over),
+                    });
+                    cancelled.carried_over_to = next[0].draw_counter;
+                }
+
+                await client.query("COMMIT");
+                return cancelled;
+            } catch (error) {
+                await client.query("ROLLBACK");
+                throw error;
+            } finally {
+                client.release();
+            }
+        }),
+    );
+
+    router.post(
+        "/admin/distributions/:id/requeue",
+        auditedAction(pool, "distribution.requeue", async (req) => {
+            const requeued = await requeueDistribution(
+                pool,
+                parseInt(req.params.id, 10),
+            );
+
+            if (!requeued) {
+                throw httpError(409, "Distribution not found or not failed");
+            }
+
+            return requeued;
+        }),
+    );
+
+    router.get("/admin/blocklist", async (req, res) => {
+        try {
+            res.status(200).json(await listBlocklist(pool));
+        } catch (error) {
+            logger.error("Error fetching the blocklist", { error });
+            res.status(500).json({
+                error: "An error occurred while fetching the blocklist",
+            });
+        }
+    });
+
+    router.post(
+        "/admin/blocklist",
+        auditedAction(pool, "blocklist.add", async (req) => {
+            const { public_key, reason, expires_at } = req.body;
+
+            if (typeof public_key !== "string" || !public_key) {
+                throw httpError(400, "public_key is required");
+            }
+            if (!isValidDagAddress(public_key)) {
+                throw httpError(400, "public_key is not a valid DAG address");
+            }
+            if (expires_at && isNaN(Date.parse(expires_at))) {
+                throw httpError(400, "expires_at must be an ISO timestamp");
+            }
+
+            return addToBlocklist(pool, {
+                publicKey: public_key,
+                reason,
+                expiresAt: expires_at,
+                addedBy: req.operator,
+            });
+        }),
+    );
+
+    router.delete(
+        "/admin/blocklist/:address",
+        auditedAction(pool, "blocklist.remove", async (req) => {
+            const removed = await removeFromBlocklist(pool, req.params.address);
+
+            if (!removed) {
+                throw httpError(404, "Address is not in the blocklist");
+            }
+
+            return removed;
+        }),
+    );
+
+    router.get("/admin/treasury", async (req, res) => {
+        try {
+            res.status(200).json(await actions.checkTreasury());
+        } catch (error) {
+            logger.error("Error reconciling the treasury", { error });
+            res.status(500).json({
+                error: "An error occurred while reconciling the treasury",
+            });
+        }
+    });
+
+    router.get("/admin/treasury/draws", async (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit || "20", 10), 500);
+
+        try {
+            res.status(200).json(
+                await listDrawLedger(pool, limit > 0 ? limit : 20),
+            );
+        } catch (error) {
+            logger.error("Error fetching the treasury ledger", { error });
+            res.status(500).json({
+                error: "An error occurred while fetching the treasury ledger",
+            });
+        }
+    });
+
+    router.post(
+        "/admin/treasury/sweep",
+        auditedAction(pool, "treasury.sweep", async () => {
+            const sweep = await actions.sweepTreasury();
+
+            if (!sweep) {
+                throw httpError(409, "No surplus to sweep");
+            }
+
+            return sweep;
+        }),
+    );
+
+    router.get("/admin/webhooks", async (req, res) => {
+        try {
+            res.status(200).json(await listSubscriptions(pool));
+        } catch (error) {
+            logger.error("Error fetching the webhooks", { error });
+            res.status(500).json({
+                error: "An error occurred while fetching the webhooks",
+            });
+        }
+    });
+
+    router.post(
+        "/admin/webhooks",
+        auditedAction(pool, "webhook.add", async (req) => {
+            const { url, events, description, secret } = req.body;
+
+            let parsed;
+            try {
+                parsed = new URL(url);
+            } catch (error) {
+                throw httpError(400, "url must be an absolute URL");
+            }
+            if (!["http:", "https:"].includes(parsed.protocol)) {
+                throw httpError(400, "url must be http or https");
+            }
+            if (
+                !Array.isArray(events) ||
+                events.length === 0 ||
+                events.some((event) => !WEBHOOK_EVENTS.includes(event))
+            ) {
+                throw httpError(
+                    400,
+                    `events must list some of ${WEBHOOK_EVENTS.join(", ")}`,
+                );
+            }
+            if (
+                secret !== undefined &&
+                (typeof secret !== "string" || secret.length < 16)
+            ) {
+                throw httpError(400, "secret must be at least 16 characters");
+            }
+
+            return addSubscription(pool, {
+                url: parsed.toString(),
+                events: [...new Set(events)],
+                secret,
+                description,
+                createdBy: req.operator,
+            });
+        }),
+    );
+
+    router.delete(
+        "/admin/webhooks/:id",
+        auditedAction(pool, "webhook.remove", async (req) => {
+            const disabled = await disableSubscription(
+                pool,
+                parseInt(req.params.id, 10),
+            );
+
+            if (!disabled) {
+                throw httpError(404, "Webhook not found");
+            }
+
+            return disabled;
+        }),
+    );
+
+    router.get("/admin/webhooks/deliveries", async (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit || "50", 10), 500);
+        const subscriptionId = parseInt(req.query.subscription_id, 10);
+
+        try {
+            res.status(200).json(
+                await listDeliveries(pool, {
+                    limit: limit > 0 ? limit : 50,
+                    status: req.query.status || null,
+                    subscriptionId: isNaN(subscriptionId)
+                        ? null
+                        : subscriptionId,
+                }),
+            );
+        } catch (error) {
+            logger.error("Error fetching the webhook deliveries", { error });
+            res.status(500).json({
+                error: "An error occurred while fetching the webhook deliveries",
+            });
+        }
+    });
+
+    router.post(
+        "/admin/webhooks/deliveries/:id/redeliver",
+        auditedAction(pool, "webhook.redeliver", async (req) => {
+            const delivery = await redeliver(pool, parseInt(req.params.id, 10));
+
+            if (!delivery) {
+                throw httpError(404, "Delivery not found");
+            }
+
+            return delivery;
+        }),
+    );
+
+    router.get("/admin/audit-log", async (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit || "50", 10), 500);
+
+        try {
+            const { rows } = await pool.query(
+                `
+                SELECT id, operator, action, target, reason, params, outcome, error_message, created_at
+                FROM admin_audit_log
+                ORDER BY id DESC
+                LIMIT $1
+            `,
+                [limit > 0 ? limit : 50],
+            );
+            res.status(200).json(rows);
+        } catch (error) {
+            logger.error("Error fetching the audit log", { error });
+            res.status(500).json({
+                error: "An error occurred while fetching the audit log",
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,199 @@
+/**
+ * Draw history routes
+ *
+ * GET /draws            - Paginated list of draws, most recent first
+ * GET /draws/:counter   - One draw by its round number
+ * GET /draws/:counter/report?format=json|csv
+ *                       - Signed audit report of a completed draw (see ../reports)
+ * GET /draws/:counter/proof/:address
+ *                       - Inclusion proof of a participant in the draw's
+ *                         participants_root (see ../merkle)
+ *
+ * The first two return the window, totals, winner, fairness values,
+ * participant count and every distribution with its hash and status (see
+ * ../draws). Amounts are strings of datum.
+ */
+
+const express = require("express");
+const { listDraws, findDraw } = require("../draws");
+const {
+    REPORT_STATUSES,
+    buildDrawReport,
+    serializeReport,
+    reportToCsv,
+} = require("../reports");
+const { fetchInclusionProof } = require("../participants");
+const { logger } = require("../logger");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.pool - PostgreSQL pool
+ * @param {number} deps.minAmount - Minimum deposit (datum) to count as a participant
+ * @param {string} deps.network - Network the game plays on, written in the reports
+ * @param {string} deps.wallet - Game wallet address, written in the reports
+ * @param {Object|null} deps.signer - Report signer (see ../reports), null to serve them unsigned
+ * @returns {express.Router} Router to mount at the root of the app
+ */
+function createDrawsRouter({ pool, minAmount, network, wallet, signer }) {
+    const router = express.Router();
+
+    router.get("/draws", async (req, res) => {
+        const page = parseInt(req.query.page || "1", 10);
+        const limit = parseInt(req.query.limit || `${DEFAULT_PAGE_SIZE}`, 10);
+
+        if (!(page >= 1) || !(limit >= 1) || limit > MAX_PAGE_SIZE) {
+            return res.status(400).json({
+                error: `page must be >= 1 and limit between 1 and ${MAX_PAGE_SIZE}`,
+            });
+        }
+
+        try {
+            const { draws, total } = await listDraws(pool, {
+                limit,
+                offset: (page - 1) * limit,
+                minAmount,
+            });
+
+            res.status(200).json({
+                draws,
+                pagination: { page, limit, total },
+            });
+        } catch (error) {
+            logger.error("Error fetching draws", { error });
+            res.status(500).json({
+                error: "An error occurred while fetching the draws",
+            });
+        }
+    });
+
+    router.get("/draws/:counter", async (req, res) => {
+        const counter = parseInt(req.params.counter, 10);
+
+        if (!(counter >= 1)) {
+            return res.status(400).json({ error: "Invalid round number" });
+        }
+
+        try {
+            const draw = await findDraw(pool, counter, minAmount);
+
+            if (!draw) {
+                return res.status(404).json({ error: "Draw not found" });
+            }
+
+            res.status(200).json(draw);
+        } catch (error) {
+            logger.error("Error fetching draw", { error });
+            res.status(500).json({
+                error: "An error occurred while fetching the draw",
+            });
+        }
+    });
+
+    router.get("/draws/:counter/report", async (req, res) => {
+        const counter = parseInt(req.params.counter, 10);
+        const format = req.query.format || "json";
+
+        if (!(counter >= 1)) {
+            return res.status(400).json({ error: "Invalid round number" });
+        }
+        if (format !== "json" && format !== "csv") {
+            return res
+                .status(400)
+                .json({ error: "format must be json or csv" });
+        }
+
+        try {
+            const report = await buildDrawReport(pool, counter, {
+                minAmount,
+                network,
+                wallet,
+            });
+
+            if (!report) {
+                return res.status(404).json({ error: "Draw not found" });
+            }
+            if (!REPORT_STATUSES.includes(report.status)) {
+                return res.status(409).json({
+                    error: `Draw is ${report.status}, reports are only made for draws that are ${REPORT_STATUSES.join(", ")}`,
+                });
+            }
+
+            // Signed as served, so the downloaded file is what gets verified
+            const text =
+                format === "csv"
+                    ? reportToCsv(report)
+                    : serializeReport(report);
+            const signature = signer ? await signer.sign(text) : null;
+
+            if (signature) {
+                res.set({
+                    "X-Report-Signature": signature.value,
+                    "X-Report-Public-Key": signature.public_key,
+                    "X-Report-Signer": signature.address,
+                });
+            }
+            res.attachment(`draw-${counter}-report.${format}`);
+
+            if (format === "csv") {
+                // The signature goes last, over every line before it
+                const signatureLine = signature
+                    ? `signature,${signature.algorithm},${signature.value},${signature.address},,,,,${signature.public_key}\n`
+                    : "";
+                return res.type("text/csv").send(text + signatureLine);
+            }
+
+            res.type("application/json").send(
+                `{"report":${text},"signature":${JSON.stringify(signature)}}`,
+            );
+        } catch (error) {
+            logger.error("Error building the draw report", { error });
+            res.status(500).json({
+                error: "An error occurred while building the draw report",
+            });
+        }
+    });
+
+    router.get("/draws/:counter/proof/:address", async (req, res) => {
+        const counter = parseInt(req.params.counter, 10);
+
+        if (!(counter >= 1)) {
+            return res.status(400).json({ error: "Invalid round number" });
+        }
+
+        try {
+            const proof = await fetchInclusionProof(
+                pool,
+                counter,
+                req.params.address,
+            );
+
+            if (!proof) {
+                return res.status(404).json({ error: "Draw not found" });
+            }
+            if (proof.root === null) {
+                return res.status(404).json({
+                    error: "The participants of this draw are not committed yet",
+                });
+            }
+            if (proof.leaf_index === null) {
+                return res.status(404).json({
+                    error: "Address is not a participant of this draw",
+                });
+            }
+
+            res.status(200).json(proof);
+        } catch (error) {
+            logger.error("Error building the inclusion proof", { error });
+            res.status(500).json({
+                error: "An error occurred while building the inclusion proof",
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createDrawsRouter };
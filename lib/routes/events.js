@@ -0,0 +1,30 @@
+/**
+ * Live event routes
+ *
+ * GET /events - Server-Sent Events stream of the running round: new deposits,
+ * leaderboard and pool changes and draw status transitions (see ../events).
+ * Amounts are strings of datum.
+ */
+
+const express = require("express");
+const { logger } = require("../logger");
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.feed - Live feed created by createLiveFeed
+ * @returns {express.Router} Router to mount at the root of the app
+ */
+function createEventsRouter({ feed }) {
+    const router = express.Router();
+
+    router.get("/events", (req, res) => {
+        feed.subscribe(req, res).catch((error) => {
+            logger.error("Error streaming events", { error });
+            res.end();
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createEventsRouter };
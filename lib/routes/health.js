@@ -0,0 +1,52 @@
+/**
+ * Health routes
+ *
+ * GET /healthz - Liveness: 503 only when the database is unreachable, which a
+ *                restart may fix. Explorer or L1 outages don't count, a restart
+ *                wouldn't help.
+ * GET /readyz  - Readiness: 503 when any check fails (database, explorer, L1,
+ *                solvency). Warnings (no running draw, stuck Processing draw)
+ *                are reported but keep it at 200.
+ *
+ * Both return the full report of ../health. Amounts are strings of datum.
+ */
+
+const express = require("express");
+const { logger } = require("../logger");
+
+/**
+ * @param {Object} deps
+ * @param {Function} deps.check - Health check created by createHealthCheck
+ * @returns {express.Router} Router to mount at the root of the app
+ */
+function createHealthRouter({ check }) {
+    const router = express.Router();
+
+    /**
+     * Serves the report with the status code the probe expects
+     * @param {Function} isHealthy - (report) => boolean
+     * @returns {Function} Express handler
+     */
+    const respond = (isHealthy) => async (req, res) => {
+        try {
+            const report = await check();
+            res.status(isHealthy(report) ? 200 : 503).json(report);
+        } catch (error) {
+            logger.error("Error checking the health", { error });
+            res.status(503).json({ status: "fail", error: error.message });
+        }
+    };
+
+    router.get(
+        "/healthz",
+        respond((report) => report.checks.database.status === "ok"),
+    );
+    router.get(
+        "/readyz",
+        respond((report) => report.status !== "fail"),
+    );
+
+    return router;
+}
+
+module.exports = { createHealthRouter };
@@ -0,0 +1,51 @@
+/**
+ * Metrics route
+ *
+ * GET /metrics - Prometheus exposition of the series of ../metrics. When
+ * METRICS_TOKEN is set, scrapers must send it as `Authorization: Bearer <token>`.
+ */
+
+const express = require("express");
+const { requireOperator } = require("../admin");
+const { logger } = require("../logger");
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.registry - prom-client registry
+ * @param {Function} deps.collect - async () => void, refreshes the gauges read from the database
+ * @param {string} [deps.token] - Bearer token scrapers must send, open when unset
+ * @returns {express.Router} Router to mount at the root of the app
+ */
+function createMetricsRouter({ registry, collect, token = null }) {
+    const router = express.Router();
+
+    if (token) {
+        router.use(
+            "/metrics",
+            requireOperator([{ operator: "metrics", token }]),
+        );
+    }
+
+    router.get("/metrics", async (req, res) => {
+        try {
+            await collect();
+        } catch (error) {
+            // Serve the other series anyway, the stale gauges are better than nothing
+            logger.error("Error collecting the game metrics", { error });
+        }
+
+        try {
+            res.set("Content-Type", registry.contentType);
+            res.send(await registry.metrics());
+        } catch (error) {
+            logger.error("Error serving the metrics", { error });
+            res.status(500).json({
+                error: "An error occurred while serving the metrics",
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createMetricsRouter };
@@ -0,0 +1,152 @@
+/**
+ * Player profile routes
+ *
+ * GET /players/:address - Every draw the address entered with its deposits,
+ * rank and payouts, plus its win count and lifetime net result. Amounts are
+ * strings of datum.
+ *
+ * A closed draw's entries are the participants it committed (see
+ * ../participants); an open one counts the eligible deposits, leaving out the
+ * senders blocklisted as the draw ends, like /draws.
+ */
+
+const express = require("express");
+const { toDatum } = require("../amounts");
+const { isValidDagAddress } = require("../network/profiles");
+const { logger } = require("../logger");
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.pool - PostgreSQL pool
+ * @param {number} deps.minAmount - Minimum deposit (datum) to count as an entry
+ * @returns {express.Router} Router to mount at the root of the app
+ */
+function createPlayersRouter({ pool, minAmount }) {
+    const router = express.Router();
+
+    router.get("/players/:address", async (req, res) => {
+        const { address } = req.params;
+
+        if (!isValidDagAddress(address)) {
+            return res.status(400).json({ error: "Invalid DAG address" });
+        }
+
+        try {
+            // Rank every participant within its draw, then keep the requested address
+            const { rows: entries } = await pool.query(
+                `
+                WITH eligible AS (
+                    SELECT p.draw_id, p.address AS source, p.amount AS deposited,
+                           (SELECT COUNT(*)::int FROM deposits d
+                            WHERE d.draw_id = p.draw_id
+                              AND d.source = p.address
+                              AND d.committed) AS deposits
+                    FROM draw_participants p
+                    JOIN draws w ON w.id = p.draw_id
+                    WHERE w.participants_committed_at IS NOT NULL
+                    UNION ALL
+                    SELECT d.draw_id, d.source, SUM(d.amount), COUNT(*)::int
+                    FROM deposits d
+                    JOIN draws w ON w.id = d.draw_id
+                    WHERE w.participants_committed_at IS NULL
+                      AND d.amount >= $2
+                      AND NOT EXISTS (
+                          SELECT 1 FROM blocklist b
+                          WHERE b.public_key = d.source
+                            AND b.created_at <= w.date_end
+                            AND (b.expires_at IS NULL OR b.expires_at > w.date_end)
+                      )
+                    GROUP BY d.draw_id, d.source
+                ),
+                ranked AS (
+                    SELECT eligible.*,
+                           RANK() OVER (PARTITION BY draw_id ORDER BY deposited DESC)::int AS rank,
+                           COUNT(*) OVER (PARTITION BY draw_id)::int AS participants
+                    FROM eligible
+                )
+                SELECT ranked.draw_id, ranked.deposited, ranked.deposits, ranked.rank, ranked.participants,
+                       draws.draw_counter, draws.status, draws.date_start, draws.date_end,
+                       draws.winner_public_key
+                FROM ranked
+                JOIN draws ON draws.id = ranked.draw_id
+                WHERE ranked.source = $1
+                ORDER BY draws.draw_counter DESC
+            `,
+                [address, minAmount],
+            );
+
+            const { rows: distributions } = await pool.query(
+                `
+                SELECT id, draw_id, prize, fee_paid, status, hash, transaction_datetime,
+                       confirmed_at, snapshot_ordinal
+                FROM distributions
+                WHERE public_key = $1
+                ORDER BY id
+            `,
+                [address],
+            );
+
+            let totalDeposited = 0n;
+            let totalPaid = 0n;
+            let wins = 0;
+
+            const draws = entries.map((entry) => {
+                const deposited = toDatum(entry.deposited);
+                const payouts = distributions
+                    .filter((row) => row.draw_id === entry.draw_id)
+                    .map((row) => ({
+                        id: row.id,
+                        prize: toDatum(row.prize),
+                        fee_paid: toDatum(row.fee_paid),
+                        status: row.status,
+                        hash: row.hash,
+                        transaction_datetime: row.transaction_datetime,
+                        confirmed_at: row.confirmed_at,
+                        snapshot_ordinal: row.snapshot_ordinal,
+                    }));
+                // Only transfers that reached the network count as paid
+                const paid = payouts
+                    .filter((payout) => payout.hash)
+                    .reduce((sum, payout) => sum + payout.prize, 0n);
+                const won = entry.winner_public_key === address;
+
+                totalDeposited += deposited;
+                totalPaid += paid;
+                wins += won ? 1 : 0;
+
+                return {
+                    round_number: entry.draw_counter,
+                    status: entry.status,
+                    start: entry.date_start.toISOString(),
+                    end: entry.date_end.toISOString(),
+                    deposited,
+                    deposits: entry.deposits,
+                    rank: entry.rank,
+                    participants: entry.participants,
+                    won,
+                    paid,
+                    distributions: payouts,
+                };
+            });
+
+            res.status(200).json({
+                address,
+                draws_entered: draws.length,
+                wins,
+                total_deposited: totalDeposited,
+                total_paid: totalPaid,
+                net_result: totalPaid - totalDeposited,
+                draws,
+            });
+        } catch (error) {
+            logger.error("Error fetching player", { error });
+            res.status(500).json({
+                error: "An error occurred while fetching the player",
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createPlayersRouter };
@@ -0,0 +1,56 @@
+/**
+ * Refund routes
+ *
+ * GET /refunds/:address - Deposits of the address that were rejected, why, and
+ * where their refund transfer is. Amounts are strings of datum.
+ */
+
+const express = require("express");
+const { listRefunds } = require("../refunds");
+const { isValidDagAddress } = require("../network/profiles");
+const { logger } = require("../logger");
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.pool - PostgreSQL pool
+ * @returns {express.Router} Router to mount at the root of the app
+ */
+function createRefundsRouter({ pool }) {
+    const router = express.Router();
+
+    router.get("/refunds/:address", async (req, res) => {
+        const { address } = req.params;
+
+        if (!isValidDagAddress(address)) {
+            return res.status(400).json({ error: "Invalid DAG address" });
+        }
+
+        try {
+            const refunds = await listRefunds(pool, address);
+
+            res.status(200).json({
+                address,
+                refunds: refunds.map((row) => ({
+                    deposit_hash: row.deposit_hash,
+                    deposited: row.deposited,
+                    deposited_at: row.deposited_at,
+                    reason: row.reason,
+                    amount: row.amount,
+                    status: row.status,
+                    hash: row.hash,
+                    transaction_datetime: row.transaction_datetime,
+                    error_message: row.error_message,
+                })),
+            });
+        } catch (error) {
+            logger.error("Error fetching refunds", { error });
+            res.status(500).json({
+                error: "An error occurred while fetching the refunds",
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createRefundsRouter };
@@ -0,0 +1,254 @@
+/**
+ * Rolling draw schedule
+ *
+ * Keeps a number of future 'Pending' draws in the draws table, generated from
+ * a configurable cadence:
+ *
+ * - DRAW_START_TIME        Time of day the first draw starts (HH:mm:ss, default 21:00:01)
+ * - DRAW_TIMEZONE          IANA timezone of DRAW_START_TIME (default UTC)
+ * - DRAW_DURATION_MINUTES  Length of a draw (default 1440, one day)
+ * - DRAW_GAP_MINUTES       Pause between the end of a draw and the next start (default 0)
+ * - DRAW_LOOKAHEAD         Number of upcoming draws to keep ahead (default 7)
+ *
+ * Times are computed on the wall clock of the timezone, so a daily draw keeps
+ * starting at the same local time across daylight saving changes. A draw ends
+ * one second before the next one could start, like the original daily draws
+ * (21:00:01 to 21:00:00 the next day).
+ *
+ * Unless CRON_SCHEDULE overrides it, the job that finalizes a draw and starts
+ * the next one runs at the draw start times, derived from the same cadence.
+ */
+
+const { logger } = require("./logger");
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * Reads and validates the schedule configuration
+ * @param {Object} env - Environment variables
+ * @returns {Object} { startTime, timeZone, durationMinutes, gapMinutes, lookahead }
+ */
+function readScheduleConfig(env) {
+    const config = {
+        startTime: env.DRAW_START_TIME || "21:00:01",
+        timeZone: env.DRAW_TIMEZONE || "UTC",
+        durationMinutes: Number(env.DRAW_DURATION_MINUTES || 1440),
+        gapMinutes: Number(env.DRAW_GAP_MINUTES || 0),
+        lookahead: Number(env.DRAW_LOOKAHEAD || 7),
+    };
+
+    if (!/^\d{2}:\d{2}:\d{2}$/.test(config.startTime)) {
+        throw new Error("DRAW_START_TIME must look like HH:mm:ss");
+    }
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone: config.timeZone });
+    } catch (error) {
+        throw new Error(`DRAW_TIMEZONE '${config.timeZone}' is not valid`);
+    }
+    if (
+        !Number.isInteger(config.durationMinutes) ||
+        config.durationMinutes < 1
+    ) {
+        throw new Error("DRAW_DURATION_MINUTES must be a positive integer");
+    }
+    if (!Number.isInteger(config.gapMinutes) || config.gapMinutes < 0) {
+        throw new Error("DRAW_GAP_MINUTES must be a non-negative integer");
+    }
+    if (!Number.isInteger(config.lookahead) || config.lookahead < 1) {
+        throw new Error("DRAW_LOOKAHEAD must be a positive integer");
+    }
+
+    return config;
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant
+ * @param {number} instant - Epoch milliseconds
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Offset in milliseconds (local wall clock - UTC)
+ */
+function timeZoneOffset(instant, timeZone) {
+    const parts = new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+    }).formatToParts(new Date(instant));
+    const get = (type) =>
+        Number(parts.find((part) => part.type === type).value);
+
+    const wallClock = Date.UTC(
+        get("year"),
+        get("month") - 1,
+        get("day"),
+        get("hour"),
+        get("minute"),
+        get("second"),
+    );
+
+    return wallClock - Math.floor(instant / SECOND) * SECOND;
+}
+
+// Wall clock times are handled as epoch milliseconds read in UTC
+const toWallClock = (instant, timeZone) =>
+    instant + timeZoneOffset(instant, timeZone);
+
+function fromWallClock(wallClock, timeZone) {
+    // Two passes settle the offset around daylight saving changes
+    let instant = wallClock - timeZoneOffset(wallClock, timeZone);
+    instant = wallClock - timeZoneOffset(instant, timeZone);
+    return instant;
+}
+
+/**
+ * Computes the draws that follow a given draw end
+ * @param {Object} config - Schedule configuration
+ * @param {Date|null} lastEnd - End of the latest draw, null when there is none yet
+ * @param {number} count - Number of draws to compute
+ * @param {Date} [now] - Current time, anchors the first draw when there is none yet
+ * @returns {Array} Draws ({ date_start, date_end })
+ */
+function nextDraws(config, lastEnd, count, now = new Date()) {
+    const { timeZone, durationMinutes, gapMinutes } = config;
+    let wallStart;
+
+    if (lastEnd) {
+        wallStart =
+            toWallClock(lastEnd.getTime(), timeZone) +
+            SECOND +
+            gapMinutes * MINUTE;
+    } else {
+        // The most recent occurrence of the start time, so the first draw is already open
+        const [hours, minutes, seconds] = config.startTime
+            .split(":")
+            .map(Number);
+        const wallNow = toWallClock(now.getTime(), timeZone);
+        const today = Math.floor(wallNow / DAY) * DAY;
+        wallStart = today + ((hours * 60 + minutes) * 60 + seconds) * SECOND;
+        if (wallStart > wallNow) {
+            wallStart -= DAY;
+        }
+    }
+
+    const draws = [];
+    while (draws.length < count) {
+        const wallEnd = wallStart + durationMinutes * MINUTE - SECOND;
+        const draw = {
+            date_start: new Date(fromWallClock(wallStart, timeZone)),
+            date_end: new Date(fromWallClock(wallEnd, timeZone)),
+        };
+
+        // After a long downtime, skip the draws that would already be over
+        if (draw.date_end > now) {
+            draws.push(draw);
+        }
+
+        wallStart = wallEnd + SECOND + gapMinutes * MINUTE;
+    }
+
+    return draws;
+}
+
+async function fetchScheduleState(pool) {
+    const { rows } = await pool.query(`
+        SELECT
+            (SELECT MAX(date_end) FROM draws WHERE status <> 'Cancelled') AS last_end,
+            (SELECT COUNT(*)::int FROM draws
+             WHERE status = 'Pending' AND date_end > CURRENT_TIMESTAMP) AS upcoming
+    `);
+
+    return {
+        lastEnd: rows[0].last_end ? new Date(rows[0].last_end) : null,
+        upcoming: rows[0].upcoming,
+    };
+}
+
+/**
+ * Lists the draws the schedule would create next, without creating them
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} config - Schedule configuration
+ * @param {number} [count] - Number of draws to preview, defaults to the lookahead
+ * @returns {Array} Draws ({ date_start, date_end })
+ */
+async function previewSchedule(pool, config, count) {
+    const { lastEnd } = await fetchScheduleState(pool);
+    return nextDraws(config, lastEnd, count || config.lookahead);
+}
+
+/**
+ * Creates 'Pending' draws until the lookahead is filled
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} config - Schedule configuration
+ * @returns {Array} Created draws ({ draw_counter, date_start, date_end })
+ */
+async function ensureUpcomingDraws(pool, config) {
+    const { lastEnd, upcoming } = await fetchScheduleState(pool);
+    const missing = config.lookahead - upcoming;
+
+    if (missing <= 0) {
+        return [];
+    }
+
+    const created = [];
+    for (const draw of nextDraws(config, lastEnd, missing)) {
+        const { rows } = await pool.query(
+            `
+            INSERT INTO draws (date_start, date_end)
+            VALUES ($1, $2)
+            RETURNING draw_counter, date_start, date_end
+        `,
+            [draw.date_start, draw.date_end],
+        );
+        created.push(rows[0]);
+    }
+
+    logger.info("Scheduled upcoming draws", { count: created.length });
+    return created;
+}
+
+/**
+ * Derives when the job that finalizes and starts draws runs: at the start
+ * time of every draw, on the wall clock of the timezone. Cadences that don't
+ * repeat within a day, or don't fit cron fields, need CRON_SCHEDULE instead.
+ * @param {Object} config - Schedule configuration
+ * @returns {Object} { expression, timeZone }, expression with a seconds field
+ */
+function drawJobSchedule(config) {
+    const period = config.durationMinutes + config.gapMinutes;
+
+    if (1440 % period !== 0 || (period > 60 && period % 60 !== 0)) {
+        throw new Error(
+            `Draws every ${period} minutes don't fit a cron expression, set CRON_SCHEDULE`,
+        );
+    }
+
+    const [hours, minutes, seconds] = config.startTime.split(":").map(Number);
+    // Minutes of the day at which a draw starts
+    const starts = Array.from(
+        { length: 1440 / period },
+        (_, index) => (hours * 60 + minutes + index * period) % 1440,
+    );
+    const list = (values) =>
+        [...new Set(values)].sort((a, b) => a - b).join(",");
+
+    const expression =
+        period % 60 === 0
+            ? `${seconds} ${minutes} ${list(starts.map((start) => Math.floor(start / 60)))} * * *`
+            : `${seconds} ${list(starts.map((start) => start % 60))} * * * *`;
+
+    return { expression, timeZone: config.timeZone };
+}
+
+module.exports = {
+    readScheduleConfig,
+    drawJobSchedule,
+    nextDraws,
+    previewSchedule,
+    ensureUpcomingDraws,
+};
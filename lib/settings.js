@@ -0,0 +1,42 @@
+/**
+ * Runtime settings
+ *
+ * Small values operators change while the server runs (e.g. pausing the
+ * schedule). They live in the app_settings table so they survive restarts.
+ */
+
+/**
+ * Reads a setting
+ * @param {Object} pool - PostgreSQL pool
+ * @param {string} name - Setting name
+ * @param {*} defaultValue - Returned when the setting was never written
+ * @returns {*} The stored value
+ */
+async function getSetting(pool, name, defaultValue) {
+    const { rows } = await pool.query(
+        `SELECT value FROM app_settings WHERE name = $1`,
+        [name],
+    );
+
+    return rows.length > 0 ? rows[0].value : defaultValue;
+}
+
+/**
+ * Writes a setting
+ * @param {Object} pool - PostgreSQL pool
+ * @param {string} name - Setting name
+ * @param {*} value - Any JSON value
+ */
+async function setSetting(pool, name, value) {
+    await pool.query(
+        `
+        INSERT INTO app_settings (name, value, updated_at)
+        VALUES ($1, $2, CURRENT_TIMESTAMP)
+        ON CONFLICT (name) DO UPDATE
+        SET value = EXCLUDED.value, updated_at = CURRENT_TIMESTAMP
+    `,
+        [name, JSON.stringify(value)],
+    );
+}
+
+module.exports = { getSetting, setSetting };
@@ -0,0 +1,148 @@
+/**
+ * Minimum participants and pool
+ *
+ * Each draw sets the least it needs to be played: draws.min_participants
+ * distinct participants and draws.min_pool datum (deposits plus any jackpot
+ * carried over into it). A draw that falls short isn't paid out; depending on
+ * draws.shortfall_action its deposits are either:
+ *
+ * - refund    Sent back to their senders (refunds with reason draw_shortfall),
+ *             the draw ends as 'Refunded'
+ * - rollover  Kept and added to the next draw as a carried-over jackpot,
+ *             the draw ends as 'RolledOver'
+ *
+ * Either way a jackpot the short draw had itself received moves on to the
+ * next draw, since it belongs to no depositor. The next draw stores what it
+ * received in draws.carried_over and the short draw points at it with
+ * draws.rolled_over_to.
+ */
+
+const { toDatum } = require("./amounts");
+const { refundDrawDeposits } = require("./refunds");
+const { recordRollover } = require("./treasury");
+
+const SHORTFALL_ACTIONS = ["refund", "rollover"];
+
+/**
+ * Checks a draw against its minimums
+ * @param {Object} draw - Draw with min_participants, min_pool and carried_over
+ * @param {Array} participants - Grouped transactions ({ source, amount } in datum)
+ * @returns {string|null} Why the draw falls short, null when it can be played
+ */
+function findShortfall(draw, participants) {
+    const minParticipants = draw.min_participants || 1;
+    const minPool = toDatum(draw.min_pool || 0);
+    const pool =
+        participants.reduce((sum, tx) => sum + tx.amount, 0n) +
+        toDatum(draw.carried_over || 0);
+
+    if (participants.length < minParticipants) {
+        return `${participants.length} participant(s), ${minParticipants} needed`;
+    }
+    if (pool < minPool) {
+        return `Pool of ${pool} datum, ${minPool} needed`;
+    }
+
+    return null;
+}
+
+/**
+ * Refunds or rolls over a draw that fell short, in one transaction
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} options
+ * @param {Object} options.draw - Draw settings ({ draw_id, shortfall_action, carried_over })
+ * @param {Array} options.participants - Grouped transactions of the draw
+ * @param {bigint} options.networkFee - Network fee of a refund transfer in datum
+ * @returns {Object} { status, carried, rolledOverTo, refunds }
+ */
+async function settleShortfall(pool, { draw, participants, networkFee }) {
+    const deposited = participants.reduce((sum, tx) => sum + tx.amount, 0n);
+    const rollover = draw.shortfall_action === "rollover";
+    const carried =
+        toDatum(draw.carried_over || 0) + (rollover ? deposited : 0n);
+
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+
+        const { rows: current } = await client.query(
+            `SELECT date_start, status FROM draws WHERE id = $1 FOR UPDATE`,
+            [draw.draw_id],
+        );
+
+        if (current[0].status !== "Processing") {
+            throw new Error(
+                `Draw ${draw.draw_id} is ${current[0].status}, not Processing`,
+            );
+        }
+
+        let rolledOverTo = null;
+        if (carried > 0n) {
+            const { rows: next } = await client.query(
+                `
+                UPDATE draws
+                SET carried_over = carried_over + $2, updated_at = CURRENT_TIMESTAMP
+                WHERE id = (
+                    SELECT id FROM draws
+                    WHERE status IN ('Pending', 'Running')
+                      AND date_start > $1
+                    ORDER BY date_start
+                    LIMIT 1
+                )
+                RETURNING id, draw_counter
+            `,
+                [current[0].date_start, carried],
+            );
+
+            if (next.length === 0) {
+                throw new Error("No upcoming draw to carry the pool over to");
+            }
+            rolledOverTo = next[0];
+
+            await recordRollover(client, {
+                fromDrawId: draw.draw_id,
+                toDrawId: rolledOverTo.id,
+                amount: carried,
+            });
+        }
+
+        const refunds = rollover
+            ? []
+            : await refundDrawDeposits(client, {
+                  drawId: draw.draw_id,
+                  reason: "draw_shortfall",
+                  networkFee,
+              });
+
+        const status = rollover ? "RolledOver" : "Refunded";
+        await client.query(
+            `
+            UPDATE draws
+            SET status = $2, total_collected = $3, rolled_over_to = $4, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `,
+            [
+                draw.draw_id,
+                status,
+                deposited,
+                rolledOverTo ? rolledOverTo.id : null,
+            ],
+        );
+
+        await client.query("COMMIT");
+
+        return {
+            status,
+            carried,
+            rolledOverTo: rolledOverTo ? rolledOverTo.draw_counter : null,
+            refunds,
+        };
+    } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = { SHORTFALL_ACTIONS, findShortfall, settleShortfall };
@@ -0,0 +1,284 @@
+/**
+ * Prize distribution strategies
+ *
+ * A strategy turns the grouped deposits of a draw into an explicit payout
+ * plan: one { receiver, amount, type } entry per transfer, amounts in datum
+ * (BigInt). The house fee is taken off the pool before the strategy shares it
+ * out. Shares are rounded down to the datum; what the rounding leaves over is
+ * returned as the remainder of the plan and kept by the house, so the payouts,
+ * the house fee and the remainder always add up to the total collected plus
+ * the jackpot carried over from earlier draws.
+ *
+ * The strategy of a draw is stored in draws.distribution_strategy and its
+ * parameters in draws.distribution_options.
+ */
+
+const { applyRate } = require("./amounts");
+
+const DEFAULT_STRATEGY = "top-plus-equal-share";
+const DEFAULT_TIERS = [0.5, 0.25, 0.15, 0.1];
+// Most winners a tiered draw may pay, each one being a transfer
+const MAX_TIERS = 100;
+
+const strategies = {
+    /**
+     * Half of the prize pool goes to the winner, the other half is shared
+     * equally between every participant, the winner included.
+     */
+    "top-plus-equal-share": {
+        winners: () => 1,
+        validate: (options) => checkOptionNames(options, []),
+        plan: ({ participants, prizePool, winners }) => {
+            const individualPrize =
+                prizePool / 2n / BigInt(participants.length);
+            const topPrize = prizePool / 2n + individualPrize;
+
+            return participants.map(({ source }) =>
+                source === winners[0].source
+                    ? { receiver: source, amount: topPrize, type: "top" }
+                    : {
+                          receiver: source,
+                          amount: individualPrize,
+                          type: "individual",
+                      },
+            );
+        },
+    },
+
+    /**
+     * The first N winners get a fixed share of the prize pool each,
+     * e.g. { "tiers": [0.5, 0.25, 0.15, 0.1] }. With fewer participants than
+     * tiers the remaining shares are scaled up so the whole pool is paid out.
+     */
+    tiered: {
+        winners: (options) => tiersOf(options).length,
+        validate: (options) => {
+            checkOptionNames(options, ["tiers"]);
+            const tiers = tiersOf(options);
+
+            if (tiers.some((share) => typeof share !== "number")) {
+                throw new Error("Tiered shares must be numbers");
+            }
+            if (tiers.length > MAX_TIERS) {
+                throw new Error(
+                    `Tiered distribution pays at most ${MAX_TIERS} winners`,
+                );
+            }
+
+            const total = tiers.reduce((sum, share) => sum + share, 0);
+            if (Math.abs(total - 1) > 0.000001) {
+                throw new Error(
+                    `Tiered shares must add up to 1, they add up to ${total}`,
+                );
+            }
+        },
+        plan: ({ prizePool, winners, options }) => {
+            // Shares become integer weights, precise to 1e-6
+            const weights = tiersOf(options)
+                .slice(0, winners.length)
+                .map((share) => BigInt(Math.round(share * 1000000)));
+            const totalWeight = weights.reduce(
+                (sum, weight) => sum + weight,
+                0n,
+            );
+
+            return weights.map((weight, index) => ({
+                receiver: winners[index].source,
+                amount: (prizePool * weight) / totalWeight,
+                type: `tier-${index + 1}`,
+            }));
+        },
+    },
+
+    /**
+     * Every participant gets the prize pool in proportion to what they deposited.
+     */
+    "pro-rata": {
+        winners: () => 1,
+        validate: (options) => checkOptionNames(options, []),
+        plan: ({ participants, prizePool, totalAmount }) =>
+            participants.map(({ source, amount }) => ({
+                receiver: source,
+                amount: (prizePool * amount) / totalAmount,
+                type: "pro-rata",
+            })),
+    },
+
+    /**
+     * The winner takes the whole prize pool.
+     */
+    "winner-take-all": {
+        winners: () => 1,
+        validate: (options) => checkOptionNames(options, []),
+        plan: ({ prizePool, winners }) => [
+            { receiver: winners[0].source, amount: prizePool, type: "top" },
+        ],
+    },
+};
+
+function tiersOf(options) {
+    const tiers = (options && options.tiers) || DEFAULT_TIERS;
+
+    if (
+        !Array.isArray(tiers) ||
+        tiers.length === 0 ||
+        tiers.some((share) => !(share >= 0.000001))
+    ) {
+        throw new Error("Tiered distribution needs a list of positive shares");
+    }
+
+    return tiers;
+}
+
+function checkOptionNames(options, allowed) {
+    if (
+        options === null ||
+        typeof options !== "object" ||
+        Array.isArray(options)
+    ) {
+        throw new Error("Distribution options must be a JSON object");
+    }
+
+    const unknown = Object.keys(options).filter(
+        (name) => !allowed.includes(name),
+    );
+
+    if (unknown.length > 0) {
+        throw new Error(
+            allowed.length > 0
+                ? `Unknown distribution options: ${unknown.join(", ")}. Use: ${allowed.join(", ")}.`
+                : `Unknown distribution options: ${unknown.join(", ")}. This strategy takes none.`,
+        );
+    }
+}
+
+/**
+ * Looks up a strategy by name
+ * @param {string} name - Strategy name, defaults to top-plus-equal-share
+ * @returns {Object} Strategy ({ winners, validate, plan })
+ */
+function getStrategy(name) {
+    const strategy = strategies[name || DEFAULT_STRATEGY];
+
+    if (!strategy) {
+        throw new Error(
+            `Unknown distribution strategy '${name}'. Use one of: ${Object.keys(strategies).join(", ")}.`,
+        );
+    }
+
+    return strategy;
+}
+
+/**
+ * Checks the options of a strategy before they are stored with a draw
+ * @param {string} name - Strategy name, defaults to top-plus-equal-share
+ * @param {Object} options - Strategy options
+ * @throws {Error} When the strategy is unknown or the options don't fit it
+ */
+function validateOptions(name, options) {
+    getStrategy(name).validate(options);
+}
+
+/**
+ * Builds the payout plan of a draw
+ * @param {Object} params
+ * @param {string} params.strategy - Strategy name
+ * @param {Object} [params.options] - Strategy options
+ * @param {number} params.fee - House fee as a fraction of the pool (e.g. 0.05)
+ * @param {Array} params.participants - Grouped transactions ({ source, amount } in datum)
+ * @param {Array} params.winners - Participants in winning order, as many as the strategy needs
+ * @param {bigint} [params.carriedOver] - Jackpot carried over from earlier draws, added to the pool
+ * @returns {Object} { totalAmount, houseFee, prizePool, payouts, remainder }, amounts in datum
+ */
+function buildPayoutPlan({
+    strategy,
+    options,
+    fee,
+    participants,
+    winners,
+    carriedOver = 0n,
+}) {
+    const totalAmount = participants.reduce((sum, tx) => sum + tx.amount, 0n);
+    const houseFee = applyRate(totalAmount + carriedOver, fee);
+    const prizePool = totalAmount + carriedOver - houseFee;
+
+    const payouts = getStrategy(strategy).plan({
+        participants,
+        totalAmount,
+        prizePool,
+        winners,
+        options: options || {},
+    });
+
+    const remainder =
+        prizePool - payouts.reduce((sum, payout) => sum + payout.amount, 0n);
+
+    return { totalAmount, houseFee, prizePool, payouts, remainder };
+}
+
+/**
+ * Lists what a draw would pay without deciding who wins, for the estimate
+ * shown while the draw runs. Which participant takes which rank is only
+ * known once the seed is revealed, so the plan is built once with stand-in
+ * winners that aren't participants, giving what each participant receives
+ * whatever the draw (their share), and once with participants standing in
+ * for the winners, giving what each rank pays. A rank pays a prize when its
+ * winner receives more than their share.
+ * @param {Object} params - As for buildPayoutPlan, without winners
+ * @returns {Object} { prizePool, prizes, shares }: prizes by rank ({ rank, type, amount }),
+ *   shares by participant ({ receiver, amount, type }), amounts in datum
+ */
+function buildPrizeTable({
+    strategy,
+    options,
+    fee,
+    participants,
+    carriedOver,
+}) {
+    const count = getStrategy(strategy).winners(options || {});
+    const standIns = participants.slice(0, count);
+    const plan = (winners) =>
+        buildPayoutPlan({
+            strategy,
+            options,
+            fee,
+            participants,
+            winners,
+            carriedOver,
+        });
+
+    const { prizePool, payouts: sharePayouts } = plan(
+        standIns.map(() => ({ source: null, amount: 0n })),
+    );
+    const shares = sharePayouts.filter((payout) => payout.receiver !== null);
+    const shareOf = (source) =>
+        shares
+            .filter((payout) => payout.receiver === source)
+            .reduce((sum, payout) => sum + payout.amount, 0n);
+
+    const { payouts } = plan(standIns);
+    const prizes = standIns
+        .map(({ source }, index) => {
+            const won = payouts.filter((payout) => payout.receiver === source);
+            const amount = won.reduce((sum, payout) => sum + payout.amount, 0n);
+            return {
+                rank: index + 1,
+                type: won.length > 0 ? won[0].type : null,
+                amount,
+                share: shareOf(source),
+            };
+        })
+        .filter((prize) => prize.amount > prize.share)
+        .map(({ rank, type, amount }) => ({ rank, type, amount }));
+
+    return { prizePool, prizes, shares };
+}
+
+module.exports = {
+    DEFAULT_STRATEGY,
+    strategies,
+    getStrategy,
+    validateOptions,
+    buildPayoutPlan,
+    buildPrizeTable,
+};
@@ -0,0 +1,376 @@
+/**
+ * Treasury
+ *
+ * The game wallet holds two kinds of money: what it owes (deposits of draws
+ * not played yet, carried-over jackpots, payouts and refunds not sent yet) and
+ * what the house earned. The treasury_entries table books the house's side,
+ * one entry per movement, in datum:
+ *
+ * - house_fee           + House fee of a draw, booked with its payout plan
+ * - rounding_remainder  + What rounding the shares down left over
+ * - network_fees        - Network fees of the draw's payouts, paid by the house
+ * - unrefundable        + Rejected deposit too small to cover a refund transfer
+ * - sweep               - Surplus sent to the cold wallet, network fee included
+ * - voided              + Transfer an operator gave up on, with its fee, left on the wallet
+ * - cancelled           - What the house had booked for a draw that was cancelled
+ *                         before paying out, its deposits being refunded instead
+ * - rollover_out        - Jackpot a draw passed on (owed money, not the house's)
+ * - rollover_in         + Jackpot a draw received (owed money, not the house's)
+ *
+ * Rollover entries only trace where carried-over jackpots went; they are left
+ * out of the house balance. The reconciliation checks that the wallet balance
+ * equals the outstanding liabilities plus the house balance.
+ */
+
+const { toDatum, formatDag } = require("./amounts");
+const { logger } = require("./logger");
+
+const ROLLOVER_TYPES = ["rollover_out", "rollover_in"];
+
+// Attempts a transfer gets before it is given up on (see payouts.js)
+const MAX_ATTEMPTS = 4;
+
+/**
+ * Books a treasury entry once, inside the caller's transaction
+ * @param {Object} client - PostgreSQL client or pool
+ * @param {Object} entry
+ * @param {string} entry.key - Unique key of the movement, e.g. 'draw-12:house_fee'
+ * @param {string} entry.type - Entry type
+ * @param {bigint} entry.amount - Signed amount in datum
+ * @param {number} [entry.drawId] - Draw the movement belongs to
+ * @param {number} [entry.distributionId] - Transfer the movement belongs to
+ */
+async function recordEntry(
+    client,
+    { key, type, amount, drawId = null, distributionId = null },
+) {
+    await client.query(
+        `
+        INSERT INTO treasury_entries (entry_key, entry_type, draw_id, distribution_id, amount)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (entry_key) DO NOTHING
+    `,
+        [key, type, drawId, distributionId, amount],
+    );
+}
+
+/**
+ * Books a jackpot moving from one draw to the next, inside the caller's transaction
+ * @param {Object} client - PostgreSQL client in a transaction
+ * @param {Object} rollover
+ * @param {number} rollover.fromDrawId - Draw passing the jackpot on
+ * @param {number} rollover.toDrawId - Draw receiving it
+ * @param {bigint} rollover.amount - Jackpot in datum
+ */
+async function recordRollover(client, { fromDrawId, toDrawId, amount }) {
+    await recordEntry(client, {
+        key: `draw-${fromDrawId}:rollover_out`,
+        type: "rollover_out",
+        drawId: fromDrawId,
+        amount: -amount,
+    });
+    await recordEntry(client, {
+        key: `draw-${toDrawId}:rollover_in:${fromDrawId}`,
+        type: "rollover_in",
+        drawId: toDrawId,
+        amount,
+    });
+}
+
+/**
+ * Sums the house's entries
+ * @param {Object} client - PostgreSQL client or pool
+ * @returns {bigint} House balance in datum
+ */
+async function houseBalance(client) {
+    const { rows } = await client.query(
+        `
+        SELECT COALESCE(SUM(amount), 0) AS balance
+        FROM treasury_entries
+        WHERE entry_type <> ALL($1)
+    `,
+        [ROLLOVER_TYPES],
+    );
+
+    return toDatum(rows[0].balance);
+}
+
+/**
+ * Takes back what the house booked for a draw (house fee, remainder, network
+ * fees, voided payouts) when it is cancelled, inside the caller's transaction
+ * @param {Object} client - PostgreSQL client in a transaction
+ * @param {number} drawId - ID of the cancelled draw
+ * @returns {bigint} Amount taken back in datum
+ */
+async function recordCancellation(client, drawId) {
+    const { rows } = await client.query(
+        `
+        SELECT COALESCE(SUM(amount), 0) AS booked
+        FROM treasury_entries
+        WHERE draw_id = $1
+          AND entry_type <> ALL($2)
+    `,
+        // Deposits kept for being too small to refund stay with the house
+        [drawId, [...ROLLOVER_TYPES, "unrefundable"]],
+    );
+    const booked = toDatum(rows[0].booked);
+
+    if (booked !== 0n) {
+        await recordEntry(client, {
+            key: `draw-${drawId}:cancelled`,
+            type: "cancelled",
+            drawId,
+            amount: -booked,
+        });
+    }
+
+    return booked;
+}
+
+/**
+ * Adds up what the wallet owes
+ * @param {Object} client - PostgreSQL client or pool
+ * @returns {Object} Liabilities in datum by kind, and their total
+ */
+async function outstandingLiabilities(client) {
+    const { rows } = await client.query(`
+        SELECT
+            -- Deposits of draws that have no payout plan yet and weren't refunded
+            (SELECT COALESCE(SUM(d.amount), 0)
+             FROM deposits d
+             JOIN draws w ON w.id = d.draw_id
+             WHERE w.status IN ('Pending', 'Running', 'Processing', 'Cancelled')
+               AND NOT (w.participants_committed_at IS NOT NULL AND d.committed IS NULL)
+               AND NOT EXISTS (SELECT 1 FROM distributions WHERE draw_id = w.id)
+               AND NOT EXISTS (SELECT 1 FROM refunds WHERE deposit_id = d.id)
+            ) AS open_deposits,
+            -- Deposits no draw took, or synced after their draw closed, waiting for their refund
+            (SELECT COALESCE(SUM(d.amount), 0)
+             FROM deposits d
+             LEFT JOIN draws w ON w.id = d.draw_id
+             WHERE (d.draw_id IS NULL
+                    OR (w.participants_committed_at IS NOT NULL AND d.committed IS NULL))
+               AND NOT EXISTS (SELECT 1 FROM refunds WHERE deposit_id = d.id)
+            ) AS unassigned_deposits,
+            -- Jackpots carried into draws that weren't played yet
+            (SELECT COALESCE(SUM(w.carried_over), 0)
+             FROM draws w
+             WHERE w.status IN ('Pending', 'Running', 'Processing')
+               AND NOT EXISTS (SELECT 1 FROM distributions WHERE draw_id = w.id)
+            ) AS carried_over,
+            -- Payouts, refunds and sweeps that haven't reached the network, with their fee
+            (SELECT COALESCE(SUM(prize + fee_paid), 0)
+             FROM distributions
+             WHERE status IN ('Planned', 'Failed')
+                OR (status = 'Submitted' AND hash IS NULL)
+            ) AS unsent_transfers
+    `);
+
+    const liabilities = {};
+    let total = 0n;
+    for (const [kind, amount] of Object.entries(rows[0])) {
+        liabilities[kind] = toDatum(amount);
+        total += liabilities[kind];
+    }
+
+    return { ...liabilities, total };
+}
+
+/**
+ * Compares the wallet balance with what the books say it should hold
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} network - Network client
+ * @param {string} address - Game wallet
+ * @returns {Object} { wallet_balance, liabilities, house_balance, expected_balance, difference, balanced }
+ */
+async function reconcileTreasury(pool, network, address) {
+    const walletBalance = await network.getBalance(address);
+    const liabilities = await outstandingLiabilities(pool);
+    const house = await houseBalance(pool);
+    const expected = liabilities.total + house;
+
+    return {
+        wallet_balance: walletBalance,
+        liabilities,
+        house_balance: house,
+        expected_balance: expected,
+        difference: walletBalance - expected,
+        balanced: walletBalance === expected,
+    };
+}
+
+/**
+ * Compares the wallet balance with the transfers it still has to send.
+ * Transfers the network accepted but didn't snapshot yet are counted too: the
+ * explorer balance only drops once they are snapshotted. Failed transfers that
+ * used up their attempts are never sent again without an operator, they are
+ * reported apart (given_up) and don't hold back the others.
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} network - Network client
+ * @param {string} address - Game wallet
+ * @returns {Object} { wallet_balance, unsent, in_flight, given_up, owed, shortfall, solvent }, amounts in datum
+ */
+async function checkSolvency(pool, network, address) {
+    const walletBalance = await network.getBalance(address);
+    const { rows } = await pool.query(
+        `
+        SELECT
+            COALESCE(SUM(prize + fee_paid) FILTER (WHERE NOT given_up AND (status IN ('Planned', 'Failed') OR hash IS NULL)), 0) AS unsent,
+            COALESCE(SUM(prize + fee_paid) FILTER (WHERE status = 'Submitted' AND hash IS NOT NULL), 0) AS in_flight,
+            COALESCE(SUM(prize + fee_paid) FILTER (WHERE given_up), 0) AS given_up
+        FROM (
+            SELECT prize, fee_paid, status, hash,
+                   (status = 'Failed' AND retry >= $1) AS given_up
+            FROM distributions
+            WHERE status IN ('Planned', 'Failed', 'Submitted')
+        ) owed
+    `,
+        [MAX_ATTEMPTS],
+    );
+
+    const unsent = toDatum(rows[0].unsent);
+    const inFlight = toDatum(rows[0].in_flight);
+    const owed = unsent + inFlight;
+
+    return {
+        wallet_balance: walletBalance,
+        unsent,
+        in_flight: inFlight,
+        given_up: toDatum(rows[0].given_up),
+        owed,
+        shortfall: owed > walletBalance ? owed - walletBalance : 0n,
+        solvent: walletBalance >= owed,
+    };
+}
+
+/**
+ * Stops with an error when the wallet can't cover every transfer it owes
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} network - Network client
+ * @param {string} address - Game wallet
+ * @returns {Object} The solvency report
+ */
+async function assertSolvent(pool, network, address) {
+    const report = await checkSolvency(pool, network, address);
+
+    if (!report.solvent) {
+        throw new Error(
+            `Wallet ${address} holds ${formatDag(report.wallet_balance)} DAG but owes ` +
+                `${formatDag(report.owed)} DAG in unpaid transfers and fees ` +
+                `(${formatDag(report.shortfall)} DAG short), nothing was sent`,
+        );
+    }
+
+    return report;
+}
+
+/**
+ * Lists the treasury entries of the latest draws, one line per draw
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} limit - Number of draws
+ * @returns {Array} Per-draw house revenue, fees paid and rollovers in datum
+ */
+async function listDrawLedger(pool, limit) {
+    const { rows } = await pool.query(
+        `
+        SELECT w.draw_counter, w.status,
+               COALESCE(SUM(e.amount) FILTER (WHERE e.entry_type = 'house_fee'), 0) AS house_fee,
+               COALESCE(SUM(e.amount) FILTER (WHERE e.entry_type = 'rounding_remainder'), 0) AS rounding_remainder,
+               COALESCE(SUM(e.amount) FILTER (WHERE e.entry_type = 'network_fees'), 0) AS network_fees,
+               COALESCE(SUM(e.amount) FILTER (WHERE e.entry_type = 'unrefundable'), 0) AS unrefundable,
+               COALESCE(SUM(e.amount) FILTER (WHERE e.entry_type = 'rollover_in'), 0) AS rollover_in,
+               COALESCE(SUM(e.amount) FILTER (WHERE e.entry_type = 'rollover_out'), 0) AS rollover_out,
+               COALESCE(SUM(e.amount) FILTER (WHERE e.entry_type <> ALL($2)), 0) AS house_net
+        FROM draws w
+        LEFT JOIN treasury_entries e ON e.draw_id = w.id
+        WHERE w.status <> 'Pending'
+        GROUP BY w.id
+        ORDER BY w.draw_counter DESC
+        LIMIT $1
+    `,
+        [limit, ROLLOVER_TYPES],
+    );
+
+    return rows;
+}
+
+/**
+ * Queues a transfer of the house's surplus to the cold wallet, sent by the
+ * payout ledger like any other transfer. The surplus is what the house owns
+ * and the wallet actually holds beyond its liabilities, less the reserve.
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} network - Network client
+ * @param {Object} options
+ * @param {string} options.fromAddress - Game wallet
+ * @param {string} options.toAddress - Cold wallet
+ * @param {bigint} options.reserve - Amount the house keeps on the game wallet, in datum
+ * @param {bigint} options.networkFee - Network fee of the transfer in datum
+ * @returns {Object|null} The queued sweep, null when there is no surplus
+ */
+async function queueSweep(
+    pool,
+    network,
+    { fromAddress, toAddress, reserve, networkFee },
+) {
+    const walletBalance = await network.getBalance(fromAddress);
+
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        // One sweep at a time, so two can't take the same surplus
+        await client.query(
+            `SELECT pg_advisory_xact_lock(hashtext('treasury_sweep'))`,
+        );
+
+        const liabilities = await outstandingLiabilities(client);
+        const house = await houseBalance(client);
+        const free = walletBalance - liabilities.total;
+        const amount = (house < free ? house : free) - reserve - networkFee;
+
+        if (amount <= 0n) {
+            await client.query("ROLLBACK");
+            return null;
+        }
+
+        const { rows } = await client.query(
+            `
+            INSERT INTO distributions (draw_id, public_key, payout_type, prize, fee_paid, status, retry)
+            VALUES (NULL, $1, $2, $3, $4, 'Planned', 0)
+            RETURNING id
+        `,
+            [toAddress, `sweep-${Date.now()}`, amount, networkFee],
+        );
+        await recordEntry(client, {
+            key: `distribution-${rows[0].id}:sweep`,
+            type: "sweep",
+            distributionId: rows[0].id,
+            amount: -(amount + networkFee),
+        });
+
+        await client.query("COMMIT");
+        logger.info("Queued a sweep", {
+            distribution_id: rows[0].id,
+            to: toAddress,
+            amount,
+        });
+
+        return { distribution_id: rows[0].id, to: toAddress, amount };
+    } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    MAX_ATTEMPTS,
+    recordEntry,
+    recordRollover,
+    recordCancellation,
+    reconcileTreasury,
+    checkSolvency,
+    assertSolvent,
+    listDrawLedger,
+    queueSweep,
+};
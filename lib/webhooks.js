@@ -0,0 +1,442 @@
+/**
+ * Outbound webhooks
+ *
+ * Operators subscribe URLs to game events; each event is written to the
+ * webhook_deliveries table, one row per subscription, inside the transaction
+ * of the change it announces when there is one. A delivery job then POSTs
+ * them and keeps the table as the delivery log:
+ *
+ * - Pending    Waiting for its next attempt
+ * - Delivered  The endpoint answered 2xx
+ * - Failed     Still refused after MAX_DELIVERY_ATTEMPTS, backing off between attempts
+ * - Cancelled  Its subscription was disabled before it went out
+ *
+ * Each POST carries the event as JSON ({ id, type, created_at, data }, amounts
+ * as strings of datum) and an HMAC-SHA256 of `<timestamp>.<body>` keyed with
+ * the subscription's secret:
+ *
+ *   X-Webhook-Timestamp: 1718000000
+ *   X-Webhook-Signature: sha256=<hex>
+ *
+ * Receivers should check the signature and the timestamp, and deduplicate on
+ * the event id since a delivery can arrive twice when an answer gets lost.
+ */
+
+const axios = require("axios");
+const crypto = require("crypto");
+const { jsonReplacer } = require("./amounts");
+const { checkSolvency } = require("./treasury");
+const { getSetting, setSetting } = require("./settings");
+const { logger } = require("./logger");
+
+const WEBHOOK_EVENTS = [
+    "draw.started",
+    "draw.finalized",
+    "draw.winner_selected",
+    "payout.sent",
+    "payout.failed",
+    "wallet.low_balance",
+];
+
+const MAX_DELIVERY_ATTEMPTS = 8;
+
+// First retry after 30 seconds, doubling up to an hour
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+// A claimed delivery is left alone this long, so a crashed run doesn't lose it
+const CLAIM_MS = 5 * 60 * 1000;
+
+// Set while the wallet is low, so the alert goes out once per episode
+const LOW_BALANCE_SETTING = "low_balance_alerted";
+
+let runningDelivery = null;
+
+/**
+ * Signs a webhook body
+ * @param {string} secret - Secret of the subscription
+ * @param {number} timestamp - Unix time in seconds, sent in X-Webhook-Timestamp
+ * @param {string} body - Exact body of the request
+ * @returns {string} Hex HMAC-SHA256 of `<timestamp>.<body>`
+ */
+function signPayload(secret, timestamp, body) {
+    return crypto
+        .createHmac("sha256", secret)
+        .update(`${timestamp}.${body}`)
+        .digest("hex");
+}
+
+/**
+ * Time to wait before the next attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in ms
+ */
+function backoff(attempts) {
+    return Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+}
+
+/**
+ * Queues an event for every active subscription that wants it, inside the
+ * caller's transaction when given a client
+ * @param {Object} client - PostgreSQL client or pool
+ * @param {string} type - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event details, amounts in datum
+ * @returns {number} Number of deliveries queued
+ */
+async function queueEvent(client, type, data) {
+    if (!WEBHOOK_EVENTS.includes(type)) {
+        throw new Error(`Unknown webhook event '${type}'`);
+    }
+
+    const id = crypto.randomUUID();
+    const payload = JSON.stringify(
+        { id, type, created_at: new Date().toISOString(), data },
+        jsonReplacer,
+    );
+
+    const { rowCount } = await client.query(
+        `
+        INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload)
+        SELECT id, $1, $2, $3
+        FROM webhook_subscriptions
+        WHERE active AND $2 = ANY(events)
+    `,
+        [id, type, payload],
+    );
+
+    return rowCount;
+}
+
+/**
+ * Queues an event outside of any transaction, logging instead of throwing so a
+ * webhook problem never interrupts what it reports on (e.g. a payout)
+ * @param {Object} pool - PostgreSQL pool
+ * @param {string} type - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event details, amounts in datum
+ */
+async function announce(pool, type, data) {
+    try {
+        await queueEvent(pool, type, data);
+    } catch (error) {
+        logger.error("Error queueing a webhook event", { event: type, error });
+    }
+}
+
+/**
+ * Announces a low balance when what the wallet holds beyond what it owes drops
+ * below the threshold. Announced again only once the wallet has recovered.
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} network - Network client
+ * @param {Object} options
+ * @param {string} options.address - Game wallet
+ * @param {bigint} options.threshold - Spare balance (datum) under which the wallet is low
+ * @returns {Object} The solvency report with the spare balance and whether it is low
+ */
+async function checkWalletBalance(pool, network, { address, threshold }) {
+    const report = await checkSolvency(pool, network, address);
+    const spare = report.wallet_balance - report.owed;
+    const low = !report.solvent || spare < threshold;
+    const alerted = await getSetting(pool, LOW_BALANCE_SETTING, false);
+
+    if (low && !alerted) {
+        logger.warn("Wallet balance is low", { address, spare, threshold });
+        await queueEvent(pool, "wallet.low_balance", {
+            address,
+            wallet_balance: report.wallet_balance,
+            owed: report.owed,
+            shortfall: report.shortfall,
+            spare,
+            threshold,
+        });
+        await setSetting(pool, LOW_BALANCE_SETTING, true);
+    } else if (!low && alerted) {
+        await setSetting(pool, LOW_BALANCE_SETTING, false);
+    }
+
+    return { ...report, spare, low };
+}
+
+/**
+ * Sends one delivery and records the outcome
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} delivery - Claimed delivery with its subscription's url and secret
+ * @param {number} timeoutMs - Time the endpoint has to answer
+ * @returns {string} New status of the delivery
+ */
+async function attemptDelivery(pool, delivery, timeoutMs) {
+    const log = logger.child({
+        webhook_delivery_id: delivery.id,
+        event: delivery.event_type,
+    });
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempts = delivery.attempts + 1;
+
+    let statusCode = null;
+    let error = null;
+    try {
+        const response = await axios.post(delivery.url, body, {
+            headers: {
+                "Content-Type": "application/json",
+                "User-Agent": "DAG-Royale-Webhooks",
+                "X-Webhook-Id": delivery.event_id,
+                "X-Webhook-Event": delivery.event_type,
+                "X-Webhook-Delivery": String(delivery.id),
+                "X-Webhook-Timestamp": String(timestamp),
+                "X-Webhook-Signature": `sha256=${signPayload(delivery.secret, timestamp, body)}`,
+            },
+            timeout: timeoutMs,
+            maxRedirects: 0,
+            validateStatus: () => true,
+        });
+        statusCode = response.status;
+        if (statusCode < 200 || statusCode >= 300) {
+            error = `Endpoint answered ${statusCode}`;
+        }
+    } catch (requestError) {
+        error = requestError.message;
+    }
+
+    if (!error) {
+        await pool.query(
+            `
+            UPDATE webhook_deliveries
+            SET status = 'Delivered', attempts = $2, last_status_code = $3, last_error = NULL,
+                delivered_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `,
+            [delivery.id, attempts, statusCode],
+        );
+        return "Delivered";
+    }
+
+    const status = attempts >= MAX_DELIVERY_ATTEMPTS ? "Failed" : "Pending";
+    await pool.query(
+        `
+        UPDATE webhook_deliveries
+        SET status = $2, attempts = $3, last_status_code = $4, last_error = $5,
+            next_attempt_at = $6, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+    `,
+        [
+            delivery.id,
+            status,
+            attempts,
+            statusCode,
+            error,
+            new Date(Date.now() + backoff(attempts)),
+        ],
+    );
+
+    if (status === "Failed") {
+        log.error("Webhook delivery gave up", { attempts, error });
+    } else {
+        log.warn("Webhook delivery failed, will retry", { attempts, error });
+    }
+
+    return status;
+}
+
+/**
+ * Sends the deliveries that are due
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} options
+ * @param {number} options.timeoutMs - Time each endpoint has to answer
+ * @param {number} options.limit - Deliveries sent per run
+ * @returns {Object} { delivered, retrying, failed, cancelled } counts
+ */
+async function runDelivery(pool, { timeoutMs, limit }) {
+    // Claimed rows are pushed forward, another run or server skips them meanwhile
+    const { rows } = await pool.query(
+        `
+        UPDATE webhook_deliveries w
+        SET next_attempt_at = $2, updated_at = CURRENT_TIMESTAMP
+        FROM webhook_subscriptions s
+        WHERE s.id = w.subscription_id
+          AND w.id IN (
+              SELECT id FROM webhook_deliveries
+              WHERE status = 'Pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+              ORDER BY id
+              LIMIT $1
+              FOR UPDATE SKIP LOCKED
+          )
+        RETURNING w.id, w.event_id, w.event_type, w.payload, w.attempts, s.url, s.secret, s.active
+    `,
+        [limit, new Date(Date.now() + CLAIM_MS)],
+    );
+
+    const result = { delivered: 0, retrying: 0, failed: 0, cancelled: 0 };
+
+    for (const delivery of rows.sort((a, b) => a.id - b.id)) {
+        if (!delivery.active) {
+            await pool.query(
+                `UPDATE webhook_deliveries SET status = 'Cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+                [delivery.id],
+            );
+            result.cancelled++;
+            continue;
+        }
+
+        const status = await attemptDelivery(pool, delivery, timeoutMs);
+        if (status === "Delivered") {
+            result.delivered++;
+        } else if (status === "Failed") {
+            result.failed++;
+        } else {
+            result.retrying++;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Sends the deliveries that are due. Concurrent calls share the run in progress.
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Time each endpoint has to answer
+ * @param {number} [options.limit] - Deliveries sent per run
+ * @returns {Object} { delivered, retrying, failed, cancelled } counts
+ */
+function deliverWebhooks(pool, { timeoutMs = 10000, limit = 50 } = {}) {
+    if (!runningDelivery) {
+        runningDelivery = runDelivery(pool, { timeoutMs, limit }).finally(
+            () => {
+                runningDelivery = null;
+            },
+        );
+    }
+    return runningDelivery;
+}
+
+/**
+ * Lists the subscriptions, without their secrets
+ * @param {Object} pool - PostgreSQL pool
+ * @returns {Array} Subscriptions
+ */
+async function listSubscriptions(pool) {
+    const { rows } = await pool.query(`
+        SELECT id, url, events, description, active, created_by, created_at, updated_at
+        FROM webhook_subscriptions
+        ORDER BY id
+    `);
+
+    return rows;
+}
+
+/**
+ * Subscribes a URL to events
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} subscription
+ * @param {string} subscription.url - Endpoint to POST to
+ * @param {Array} subscription.events - Event types, from WEBHOOK_EVENTS
+ * @param {string} [subscription.secret] - Signing secret, generated when omitted
+ * @param {string} [subscription.description] - What the endpoint is
+ * @param {string} subscription.createdBy - Operator name
+ * @returns {Object} The subscription, with its secret (only shown here)
+ */
+async function addSubscription(
+    pool,
+    { url, events, secret = null, description = null, createdBy },
+) {
+    const { rows } = await pool.query(
+        `
+        INSERT INTO webhook_subscriptions (url, secret, events, description, created_by)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id, url, secret, events, description, active, created_by, created_at
+    `,
+        [
+            url,
+            secret || crypto.randomBytes(32).toString("hex"),
+            events,
+            description,
+            createdBy,
+        ],
+    );
+
+    return rows[0];
+}
+
+/**
+ * Stops sending events to a subscription, its pending deliveries are cancelled
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} id - Subscription id
+ * @returns {Object|null} The disabled subscription, null when unknown
+ */
+async function disableSubscription(pool, id) {
+    const { rows } = await pool.query(
+        `
+        UPDATE webhook_subscriptions
+        SET active = false, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING id, url, events, description, active, created_by, created_at, updated_at
+    `,
+        [id],
+    );
+
+    return rows[0] || null;
+}
+
+/**
+ * Lists the latest deliveries
+ * @param {Object} pool - PostgreSQL pool
+ * @param {Object} filters
+ * @param {number} filters.limit - Number of deliveries
+ * @param {string} [filters.status] - Only deliveries in this status
+ * @param {number} [filters.subscriptionId] - Only deliveries of this subscription
+ * @returns {Array} Deliveries, most recent first
+ */
+async function listDeliveries(
+    pool,
+    { limit, status = null, subscriptionId = null },
+) {
+    const { rows } = await pool.query(
+        `
+        SELECT id, subscription_id, event_id, event_type, status, attempts, next_attempt_at,
+               last_status_code, last_error, delivered_at, created_at, updated_at
+        FROM webhook_deliveries
+        WHERE ($2::text IS NULL OR status = $2)
+          AND ($3::int IS NULL OR subscription_id = $3)
+        ORDER BY id DESC
+        LIMIT $1
+    `,
+        [limit, status, subscriptionId],
+    );
+
+    return rows;
+}
+
+/**
+ * Sends a delivery again from scratch, e.g. once its endpoint is fixed
+ * @param {Object} pool - PostgreSQL pool
+ * @param {number} id - Delivery id
+ * @returns {Object|null} The requeued delivery, null when unknown
+ */
+async function redeliver(pool, id) {
+    const { rows } = await pool.query(
+        `
+        UPDATE webhook_deliveries
+        SET status = 'Pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING id, subscription_id, event_id, event_type, status
+    `,
+        [id],
+    );
+
+    return rows[0] || null;
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    signPayload,
+    queueEvent,
+    announce,
+    checkWalletBalance,
+    deliverWebhooks,
+    listSubscriptions,
+    addSubscription,
+    disableSubscription,
+    listDeliveries,
+    redeliver,
+};
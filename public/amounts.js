@@ -0,0 +1,35 @@
+/**
+ * amounts.js
+ *
+ * The API sends every DAG amount as a string of datum (1 DAG = 100000000
+ * datum). These helpers keep the arithmetic on BigInt and only turn amounts
+ * into DAG decimals for display.
+ */
+
+export const DATUM_PER_DAG = 100000000n;
+
+/**
+ * Reads an amount of datum sent by the API.
+ * @param {string|number|bigint} value - Integer amount of datum.
+ * @returns {bigint} Amount in datum.
+ */
+export function toDatum(value) {
+    return BigInt(value);
+}
+
+/**
+ * Formats an amount of datum as DAG, truncated to a number of decimals.
+ * @param {bigint} datum - Amount in datum.
+ * @param {number} [decimals=2] - Decimals to show.
+ * @returns {string} The amount in DAG, e.g. "12.50".
+ */
+export function formatDag(datum, decimals = 2) {
+    const sign = datum < 0n ? "-" : "";
+    const abs = datum < 0n ? -datum : datum;
+    const fraction = (abs % DATUM_PER_DAG)
+        .toString()
+        .padStart(8, "0")
+        .slice(0, decimals);
+
+    return `${sign}${abs / DATUM_PER_DAG}${decimals > 0 ? `.${fraction}` : ""}`;
+}
@@ -10,6 +10,8 @@
  * @license MIT
  */
 
+import { toDatum, formatDag } from "./amounts.js";
+
 // DOM elements for stats display
 let statsElements = {
   totalDeposits: null,
@@ -58,12 +60,12 @@ export function updateGameStats(data) {
 }
 
 /**
- * Formats a number as a DAG amount string.
- * @param {number} amount - The amount to format.
+ * Formats an amount of datum as a DAG amount string.
+ * @param {bigint} amount - The amount to format, in datum.
  * @returns {string} The formatted DAG amount string.
  */
 function formatDAG(amount) {
-  return `${amount.toFixed(2)} DAG`;
+  return `${formatDag(amount)} DAG`;
 }
 
 /**
@@ -113,39 +115,43 @@ function padZero(num) {
 }
 
 /**
- * Calculates game statistics based on total transferred amount and number of participants.
- * @param {number} totalTransferred - Total amount transferred.
+ * Calculates game statistics based on total transferred amount, number of participants
+ * and the payout estimate of the round's distribution strategy.
+ * @param {bigint} totalTransferred - Total amount transferred, in datum.
  * @param {number} participantCount - Number of participants.
+ * @param {Object} payoutEstimate - Payout estimate returned by /payout-estimate.
  * @returns {Object} Calculated game statistics.
  */
-export function calculateGameStats(totalTransferred, participantCount) {
-  if (totalTransferred < 0 || participantCount < 0) {
+export function calculateGameStats(
+  totalTransferred,
+  participantCount,
+  payoutEstimate,
+) {
+  if (totalTransferred < 0n || participantCount < 0) {
     console.error("Invalid input for calculateGameStats");
     return null;
   }
 
   const totalDeposits = totalTransferred;
-  const prizePools = totalDeposits * window.PRIZE_POOL_PERCENTAGE;
-  const topPrizePool = totalDeposits * window.TOP_PRIZE_PERCENTAGE;
-  console.log(
-    "topPrizePool",
-    prizePools,
-    window.TOP_PRIZE_PERCENTAGE,
-    topPrizePool,
+  const prizes = payoutEstimate.prizes.map((prize) => toDatum(prize.amount));
+  const largest = prizes.reduce((max, a) => (a > max ? a : max), 0n);
+  const shares = payoutEstimate.players.map((player) => toDatum(player.share));
+  const smallest = shares.reduce(
+    (min, a) => (min === null || a < min ? a : min),
+    null,
   );
-  const participantPrizePool = topPrizePool;
 
   let topPrize, participantPrize, averageDeposit;
 
   if (participantCount === 0) {
-    topPrize = prizePools; // All prize money goes to top prize if no participants
-    participantPrize = 0;
-    averageDeposit = 0;
+    topPrize = toDatum(payoutEstimate.prize_pool); // All prize money goes to top prize if no participants
+    participantPrize = 0n;
+    averageDeposit = 0n;
   } else {
-    participantPrize = participantPrizePool / participantCount;
-    topPrize = topPrizePool + participantPrize;
-    console.log(participantPrizePool, participantCount);
-    averageDeposit = totalDeposits / participantCount;
+    topPrize = largest;
+    // Only strategies that pay everyone a share have a participant prize
+    participantPrize = smallest !== null ? smallest : 0n;
+    averageDeposit = totalDeposits / BigInt(participantCount);
   }
 
   // Ensure endDatetime is properly set
@@ -24,22 +24,21 @@ import {
     addParallaxEffect,
     addTypingEffect,
 } from "./effects.js";
+import { toDatum, formatDag } from "./amounts.js";
 
-// prize percentages
-window.HOUSE_PERCENTAGE = 0.05;
-window.PRIZE_POOL_PERCENTAGE = 0.95;
-window.TOP_PRIZE_PERCENTAGE = 0.475;
 window.startDatetime;
 window.endDatetime;
 
 // Constants
-const API_BASE_URL = "https://be-integrationnet.constellationnetwork.io";
-const DAG_ADDRESS = "DAG1tW4mphatvYGBJx2r3eEg1qkDna9uuRjYCSQQ";
-const REFRESH_INTERVAL = 300000; // 5 minutes
+const REFRESH_INTERVAL = 300000; // 5 minutes, only used while the live stream is down
 
 // Global variables
 let fullLeaderboard = [];
 let filteredLeaderboard = [];
+let payoutEstimate = { prize_pool: "0", prizes: [], players: [] };
+let liveEvents = null;
+let liveRound = null;
+let depositAddress = null; // Game wallet, served with the network it runs on
 
 /**
  * Fetches current round information from the server.
@@ -52,6 +51,7 @@ async function fetchRoundInfo() {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
         const data = await response.json();
+        liveRound = data.round_number;
         window.startDatetime = new Date(data.start);
         window.endDatetime = new Date(data.end);
         return { startDatetime, endDatetime };
@@ -115,6 +115,62 @@ async function fetchTransactions(address) {
     }
 }
 
+/**
+ * Fetches what the current round would pay with its distribution strategy.
+ * @returns {Promise<Object>} Strategy, prize pool, prizes by rank and players (amounts in datum).
+ */
+async function fetchPayoutEstimate() {
+    const response = await fetch("/payout-estimate");
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * Looks up the estimate of an address: the share it receives whatever the
+ * draw and its chance of drawing the first rank. Ranks are drawn by weighted
+ * tickets, so a larger deposit only raises the chance of winning.
+ * @param {string} address - Participant address.
+ * @returns {Object} { share, winProbability }, share in datum.
+ */
+function estimateFor(address) {
+    const player = payoutEstimate.players.find(
+        (entry) => entry.address === address,
+    );
+
+    return player
+        ? {
+              share: toDatum(player.share),
+              winProbability: player.win_probability,
+          }
+        : { share: 0n, winProbability: 0 };
+}
+
+/**
+ * Formats a chance of winning.
+ * @param {number} probability - Chance as a fraction.
+ * @returns {string} Chance as a percentage.
+ */
+function formatChance(probability) {
+    return `${(probability * 100).toFixed(probability > 0 && probability < 0.001 ? 4 : 2)}%`;
+}
+
+/**
+ * Lists the prize of each rank, e.g. "#1 12.5 DAG, #2 6.25 DAG".
+ * @returns {string} Prizes by rank, or a dash when no rank pays a prize.
+ */
+function describeRankPrizes() {
+    return payoutEstimate.prizes.length > 0
+        ? payoutEstimate.prizes
+              .map(
+                  (prize) =>
+                      `#${prize.rank} ${formatDag(toDatum(prize.amount))} DAG`,
+              )
+              .join(", ")
+        : "-";
+}
+
 //function to fetch deposit address
 async function fetchDepositAddress() {
     try {
@@ -143,7 +199,7 @@ function processTransactions(transactions) {
 
     transactions.forEach((tx) => {
         const sender = tx.source;
-        const amount = parseFloat(tx.amount) / 1e8; // Convert from nanoDAG to DAG
+        const amount = toDatum(tx.amount);
         if (senders[sender]) {
             senders[sender].totalAmount += amount;
             senders[sender].transactions.push(tx);
@@ -153,94 +209,116 @@ function processTransactions(transactions) {
     });
 
     return Object.entries(senders)
-        .sort((a, b) => b[1].totalAmount - a[1].totalAmount)
+        .sort((a, b) => (b[1].totalAmount > a[1].totalAmount ? 1 : -1))
         .map(([address, data]) => ({
             address,
             ...data,
-            prize: 0, // Prize will be calculated later
+            prize: 0n, // Prize will be calculated later
         }));
 }
 
 /**
  * Renders the leaderboard in the UI.
- * @param {number} prizePools - Total prize pool amount.
- * @param {number} participantCount - Number of participants.
+ * Rows are kept per address and updated in place, so live updates only move them.
+ * Prizes come from the payout estimate of the round's distribution strategy.
  */
-function renderLeaderboard(prizePools, participantCount) {
+function renderLeaderboard() {
     const leaderboardBody = document.getElementById("leaderboardBody");
-    leaderboardBody.innerHTML = "";
+    const rows = new Map(
+        [...leaderboardBody.children].map((row) => [row.dataset.address, row]),
+    );
 
     filteredLeaderboard.forEach((entry, index) => {
-        // Calculate the prize for each participant
-        const prize =
-            index === 0
-                ? prizePools * 0.5 + (prizePools * 0.5) / participantCount
-                : (prizePools * 0.5) / participantCount;
-
-        const row = document.createElement("tr");
-        row.className =
-            index === 0 ? "bg-blue-900 hover:bg-blue-800" : "hover:bg-gray-700";
-        row.className += " transition-colors duration-150 cursor-pointer";
-
-        const truncatedAddress = `${entry.address.slice(0, 5)}...${entry.address.slice(-5)}`;
-
-        row.innerHTML = `
-            <td class="py-3 px-6 text-left">
-                ${index === 0 ? '<i class="ti ti-crown text-yellow-400 mr-2"></i>' : ""}
-                ${index + 1}
-            </td>
-            <td class="py-3 px-6 text-left flex items-center">
-                <span class="mr-2">${truncatedAddress}</span>
-                <button class="copy-address bg-gray-700 hover:bg-gray-600 text-white rounded p-1" data-address="${entry.address}">
-                    <i class="ti ti-copy text-sm"></i>
-                </button>
-            </td>
-            <td class="py-3 px-6 text-right">${entry.totalAmount.toFixed(2)} DAG</td>
-            <td class="py-3 px-6 text-right font-semibold ${index === 0 ? "text-green-400" : ""}">${prize.toFixed(2)} DAG</td>
-        `;
-
-        row.querySelector("td:nth-child(2)").addEventListener("click", (e) => {
-            e.stopPropagation(); // Prevent row click event when clicking on the address cell
-        });
+        let row = rows.get(entry.address);
+        rows.delete(entry.address);
+
+        if (!row) {
+            row = document.createElement("tr");
+            row.dataset.address = entry.address;
+            row.dataset.new = "true";
+            row.addEventListener("click", () => {
+                const rank = filteredLeaderboard.findIndex(
+                    (e) => e.address === row.dataset.address,
+                );
+                showTransactionDetails(filteredLeaderboard[rank], rank + 1);
+            });
+        }
 
-        row.addEventListener("click", () =>
-            showTransactionDetails(
-                entry,
-                index + 1,
-                prizePools,
-                participantCount,
-            ),
-        );
+        fillLeaderboardRow(row, entry, index);
+        // Appending an existing row moves it to its new rank
         leaderboardBody.appendChild(row);
     });
 
-    addGlowEffect();
+    // Addresses no longer listed, e.g. filtered out by the search
+    rows.forEach((row) => row.remove());
+
+    addGlowEffect("#leaderboardBody tr[data-new]");
+    leaderboardBody
+        .querySelectorAll("tr[data-new]")
+        .forEach((row) => delete row.dataset.new);
     addCopyFunctionality();
 }
 
+/**
+ * Writes the position, address, deposits and estimate of an entry into its row.
+ * @param {HTMLElement} row - Leaderboard row.
+ * @param {Object} entry - Leaderboard entry object.
+ * @param {number} index - Position of the entry in the leaderboard.
+ */
+function fillLeaderboardRow(row, entry, index) {
+    const { share, winProbability } = estimateFor(entry.address);
+
+    row.className =
+        index === 0 ? "bg-blue-900 hover:bg-blue-800" : "hover:bg-gray-700";
+    row.className += " transition-colors duration-150 cursor-pointer";
+
+    const truncatedAddress = `${entry.address.slice(0, 5)}...${entry.address.slice(-5)}`;
+
+    row.innerHTML = `
+        <td class="py-3 px-6 text-left">
+            ${index === 0 ? '<i class="ti ti-crown text-yellow-400 mr-2"></i>' : ""}
+            ${index + 1}
+        </td>
+        <td class="py-3 px-6 text-left flex items-center">
+            <span class="mr-2">${truncatedAddress}</span>
+            <button class="copy-address bg-gray-700 hover:bg-gray-600 text-white rounded p-1" data-address="${entry.address}">
+                <i class="ti ti-copy text-sm"></i>
+            </button>
+        </td>
+        <td class="py-3 px-6 text-right">${formatDag(entry.totalAmount)} DAG</td>
+        <td class="py-3 px-6 text-right font-semibold ${index === 0 ? "text-green-400" : ""}">
+            ${formatChance(winProbability)}
+            ${share > 0n ? `<span class="block text-xs text-gray-400">+ ${formatDag(share)} DAG share</span>` : ""}
+        </td>
+    `;
+
+    row.querySelector("td:nth-child(2)").addEventListener("click", (e) => {
+        e.stopPropagation(); // Prevent row click event when clicking on the address cell
+    });
+}
+
 /**
  * Shows transaction details in a modal.
  * @param {Object} entry - Leaderboard entry object.
  * @param {number} rank - Rank of the entry.
- * @param {number} prizePools - Total prize pool amount.
- * @param {number} participantCount - Number of participants.
  */
-function showTransactionDetails(entry, rank, prizePools, participantCount) {
+function showTransactionDetails(entry, rank) {
     const modal = document.getElementById("transactionModal");
     document.getElementById("modalAddress").textContent = entry.address;
     document.getElementById("modalRank").textContent = `#${rank}`;
 
     const totalSentElement = document.getElementById("modalTotalSent");
-    const estimatedPrizeElement = document.getElementById(
-        "modalEstimatedPrize",
-    );
+    const winChanceElement = document.getElementById("modalWinChance");
 
     const totalAmountSent = entry.totalAmount;
-    totalSentElement.textContent = `${totalAmountSent.toFixed(2)} DAG`;
+    totalSentElement.textContent = `${formatDag(totalAmountSent)} DAG`;
 
-    let estimatedPrize =
-        rank === 1 ? prizePools * 0.5 : (prizePools * 0.5) / participantCount;
-    estimatedPrizeElement.textContent = `${estimatedPrize.toFixed(2)} DAG`;
+    const { share, winProbability } = estimateFor(entry.address);
+    winChanceElement.textContent = formatChance(winProbability);
+    document.getElementById("modalShare").textContent =
+        `${formatDag(share)} DAG`;
+    document.getElementById("modalRankPrizes").textContent =
+        describeRankPrizes();
 
     // Render transaction history
     const transactionBody = document.getElementById("modalTransactionBody");
@@ -254,7 +332,7 @@ function showTransactionDetails(entry, rank, prizePools, participantCount) {
                 <span class="font-mono text-sm">${tx.hash.slice(0, 8)}...${tx.hash.slice(-8)}</span>
             </td>
             <td class="py-3 px-4 text-right font-semibold text-green-400">
-                ${(parseFloat(tx.amount) / 1e8).toFixed(2)}
+                ${formatDag(toDatum(tx.amount))}
             </td>
             <td class="py-3 px-4 text-right text-gray-400">
                 ${new Date(tx.timestamp).toLocaleString()}
@@ -263,10 +341,54 @@ function showTransactionDetails(entry, rank, prizePools, participantCount) {
         transactionBody.appendChild(row);
     });
 
+    loadPlayerHistory(entry.address);
+
     modal.classList.remove("hidden");
     modal.classList.add("flex");
 }
 
+/**
+ * Loads the draws an address entered and renders them in the modal.
+ * @param {string} address - Participant address.
+ */
+async function loadPlayerHistory(address) {
+    const historyBody = document.getElementById("modalHistoryBody");
+    const netResultElement = document.getElementById("modalNetResult");
+    historyBody.innerHTML = "";
+
+    try {
+        const response = await fetch(`/players/${address}`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const player = await response.json();
+
+        document.getElementById("modalDrawsEntered").textContent =
+            player.draws_entered;
+        document.getElementById("modalWins").textContent = player.wins;
+        const netResult = toDatum(player.net_result);
+        netResultElement.textContent = `${formatDag(netResult)} DAG`;
+        netResultElement.className = `text-2xl font-bold ${netResult >= 0n ? "text-green-400" : "text-red-400"}`;
+
+        player.draws.forEach((draw) => {
+            const row = document.createElement("tr");
+            row.className =
+                "border-b border-gray-700 hover:bg-gray-750 transition-colors duration-150";
+            row.innerHTML = `
+                <td class="py-3 px-4 text-left">
+                    ${draw.won ? '<i class="ti ti-crown text-yellow-400 mr-2"></i>' : ""}#${draw.round_number}
+                </td>
+                <td class="py-3 px-4 text-right">${formatDag(toDatum(draw.deposited))}</td>
+                <td class="py-3 px-4 text-right">${draw.rank} / ${draw.participants}</td>
+                <td class="py-3 px-4 text-right font-semibold text-green-400">${formatDag(toDatum(draw.paid))}</td>
+            `;
+            historyBody.appendChild(row);
+        });
+    } catch (error) {
+        console.error("Failed to load player history:", error);
+    }
+}
+
 /**
  * Hides the transaction details modal.
  */
@@ -302,17 +424,18 @@ function hideError() {
 async function loadLeaderboard() {
     try {
         await fetchRoundInfo(); // Fetch the latest round info
-        const transactions = await fetchTransactions(DAG_ADDRESS);
+        const transactions = await fetchTransactions(depositAddress);
+        payoutEstimate = await fetchPayoutEstimate();
 
         fullLeaderboard = processTransactions(transactions);
 
         console.log(fullLeaderboard);
 
-        filteredLeaderboard = fullLeaderboard;
+        applySearch();
 
         const totalTransferred = transactions.reduce(
-            (sum, tx) => sum + parseFloat(tx.amount) / 1e8,
-            0,
+            (sum, tx) => sum + toDatum(tx.amount),
+            0n,
         );
         const participantCount = fullLeaderboard.length;
 
@@ -324,19 +447,18 @@ async function loadLeaderboard() {
         const gameStats = calculateGameStats(
             totalTransferred,
             participantCount,
+            payoutEstimate,
         );
 
         if (gameStats) {
             updateGameStats(gameStats);
-            const prizePools =
-                gameStats.totalDeposits * window.PRIZE_POOL_PERCENTAGE; // Use constant for consistency
-
-            renderLeaderboard(prizePools, participantCount);
+            renderLeaderboard();
         } else {
             console.warn(
                 "Invalid game stats calculated. Rendering empty leaderboard.",
             );
-            renderLeaderboard(0, 0);
+            filteredLeaderboard = [];
+            renderLeaderboard();
         }
 
         hideError();
@@ -344,7 +466,8 @@ async function loadLeaderboard() {
     } catch (error) {
         console.error("Load leaderboard error:", error);
         showError("Failed to load leaderboard. Please try again later.");
-        renderLeaderboard(0, 0); // Render empty leaderboard on error
+        filteredLeaderboard = [];
+        renderLeaderboard(); // Render empty leaderboard on error
     }
 }
 
@@ -374,13 +497,131 @@ function copyAddress() {
  * Handles search functionality for the leaderboard.
  */
 function handleSearch() {
+    applySearch();
+    renderLeaderboard();
+}
+
+/**
+ * Filters the leaderboard with the current search term.
+ */
+function applySearch() {
     const searchTerm = document
         .getElementById("addressSearch")
         .value.toLowerCase();
     filteredLeaderboard = fullLeaderboard.filter((entry) =>
         entry.address.toLowerCase().includes(searchTerm),
     );
-    renderLeaderboard();
+}
+
+/**
+ * Refreshes the game stats from the round totals and the payout estimate.
+ * @param {bigint} totalTransferred - Total deposited in the round, in datum.
+ * @param {number} participantCount - Number of participants.
+ */
+function refreshGameStats(totalTransferred, participantCount) {
+    const gameStats = calculateGameStats(
+        totalTransferred,
+        participantCount,
+        payoutEstimate,
+    );
+
+    if (gameStats) {
+        updateGameStats(gameStats);
+    }
+}
+
+/**
+ * Subscribes to the server's live event stream. Each event updates the
+ * leaderboard and the stats in place; the browser reconnects on its own when
+ * the stream drops, and polling takes over in the meantime.
+ */
+function subscribeToEvents() {
+    if (!window.EventSource) {
+        return;
+    }
+
+    liveEvents = new EventSource("/events");
+
+    liveEvents.addEventListener("snapshot", (event) => {
+        const snapshot = JSON.parse(event.data);
+        liveRound = snapshot.round_number;
+    });
+
+    liveEvents.addEventListener("deposit", (event) => {
+        const tx = JSON.parse(event.data);
+        const entry = fullLeaderboard.find((e) => e.address === tx.source);
+
+        if (entry && !entry.transactions.some((t) => t.hash === tx.hash)) {
+            entry.transactions.unshift(tx);
+        } else if (!entry) {
+            // Ranked when the leaderboard event that follows arrives
+            fullLeaderboard.push({
+                address: tx.source,
+                totalAmount: 0n,
+                transactions: [tx],
+                prize: 0n,
+            });
+        }
+    });
+
+    liveEvents.addEventListener("leaderboard", async (event) => {
+        const { round_number, leaderboard } = JSON.parse(event.data);
+        if (round_number !== liveRound) {
+            return;
+        }
+
+        const entries = new Map(
+            fullLeaderboard.map((entry) => [entry.address, entry]),
+        );
+        fullLeaderboard = leaderboard.map(({ address, amount }) => ({
+            address,
+            totalAmount: toDatum(amount),
+            transactions: entries.has(address)
+                ? entries.get(address).transactions
+                : [],
+            prize: 0n,
+        }));
+
+        try {
+            payoutEstimate = await fetchPayoutEstimate();
+        } catch (error) {
+            console.error("Failed to refresh the payout estimate:", error);
+        }
+        applySearch();
+        renderLeaderboard();
+    });
+
+    liveEvents.addEventListener("pool", (event) => {
+        const pool = JSON.parse(event.data);
+        if (pool.round_number === liveRound) {
+            refreshGameStats(toDatum(pool.total), pool.participants);
+        }
+    });
+
+    liveEvents.addEventListener("draw", (event) => {
+        const { round_number, from, to } = JSON.parse(event.data);
+        console.log(`Draw #${round_number}: ${from} -> ${to}`);
+
+        // A new round started or the current one closed, reload everything
+        if (to === "Running" || round_number === liveRound) {
+            liveRound = to === "Running" ? round_number : liveRound;
+            loadLeaderboard();
+        }
+    });
+
+    liveEvents.addEventListener("error", () => {
+        console.warn("Live updates interrupted, falling back to polling");
+    });
+}
+
+/**
+ * Polls the leaderboard, unless the live stream already keeps it up to date.
+ */
+function pollLeaderboard() {
+    if (liveEvents && liveEvents.readyState === EventSource.OPEN) {
+        return;
+    }
+    loadLeaderboard();
 }
 
 /**
@@ -436,14 +677,15 @@ async function initialize() {
         await fetchRoundInfo(); // Fetch initial round info
         initializeGameStats();
 
-        const depositAddress = await fetchDepositAddress();
+        depositAddress = await fetchDepositAddress();
         document.getElementById("depositAddress").textContent = depositAddress;
 
         await loadLeaderboard();
         initializeEventListeners();
         initializeTooltips();
         addParallaxEffect();
-        setInterval(loadLeaderboard, REFRESH_INTERVAL);
+        subscribeToEvents();
+        setInterval(pollLeaderboard, REFRESH_INTERVAL);
     } catch (error) {
         console.error("Initialization error:", error);
         showError(
@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+    toDatum,
+    dagToDatum,
+    formatDag,
+    applyRate,
+    jsonReplacer,
+} = require("../lib/amounts");
+
+test("toDatum reads whole amounts of datum", () => {
+    assert.strictEqual(toDatum(5n), 5n);
+    assert.strictEqual(toDatum(42), 42n);
+    assert.strictEqual(toDatum(" 123456789012345678 "), 123456789012345678n);
+    assert.strictEqual(toDatum("-7"), -7n);
+});
+
+test("toDatum rejects fractions and text", () => {
+    assert.throws(() => toDatum(1.5), /not a whole amount of datum/);
+    assert.throws(() => toDatum(2 ** 60), /not a whole amount of datum/);
+    assert.throws(() => toDatum("1.5"), /not a whole amount of datum/);
+    assert.throws(() => toDatum("abc"), /not a whole amount of datum/);
+});
+
+test("dagToDatum converts DAG decimals exactly", () => {
+    assert.strictEqual(dagToDatum("1"), 100000000n);
+    assert.strictEqual(dagToDatum("1.5"), 150000000n);
+    assert.strictEqual(dagToDatum(".00000001"), 1n);
+    assert.strictEqual(dagToDatum("0.1"), 10000000n);
+    assert.strictEqual(dagToDatum("-2.25"), -225000000n);
+    assert.strictEqual(dagToDatum(0.002), 200000n);
+});
+
+test("dagToDatum rejects more than 8 decimals and malformed amounts", () => {
+    assert.throws(() => dagToDatum("0.000000001"), /at most 8 decimals/);
+    assert.throws(() => dagToDatum("1,5"), /at most 8 decimals/);
+    assert.throws(() => dagToDatum(""), /at most 8 decimals/);
+    assert.throws(() => dagToDatum("."), /at most 8 decimals/);
+});
+
+test("formatDag writes datum as a DAG decimal without trailing zeros", () => {
+    assert.strictEqual(formatDag(0n), "0");
+    assert.strictEqual(formatDag(1n), "0.00000001");
+    assert.strictEqual(formatDag(150000000n), "1.5");
+    assert.strictEqual(formatDag(200000000n), "2");
+    assert.strictEqual(formatDag(-225000000n), "-2.25");
+    assert.strictEqual(formatDag(dagToDatum("12345.6789")), "12345.6789");
+});
+
+test("applyRate rounds the share down to the datum", () => {
+    assert.strictEqual(applyRate(1000n, 0.05), 50n);
+    assert.strictEqual(applyRate(999n, 0.05), 49n);
+    assert.strictEqual(applyRate(100000000n, 0.333333), 33333300n);
+    assert.strictEqual(applyRate(1000n, 0), 0n);
+});
+
+test("jsonReplacer writes BigInt as strings", () => {
+    assert.strictEqual(
+        JSON.stringify({ amount: 123n, count: 2 }, jsonReplacer),
+        '{"amount":"123","count":2}',
+    );
+});
@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { watchConfirmations } = require("../lib/confirmations");
+
+const MINUTE = 60 * 1000;
+
+// Serves the Submitted rows and records the updates made to them
+function fakePool(rows) {
+    const updates = [];
+    return {
+        updates,
+        async query(sql, params) {
+            if (sql.includes("SELECT")) {
+                return { rows, rowCount: rows.length };
+            }
+            updates.push({ sql, params });
+            return { rows: [], rowCount: 1 };
+        },
+    };
+}
+
+const unknownNetwork = {
+    async getTransferStatus() {
+        return { status: "UNKNOWN", snapshotHash: null, snapshotOrdinal: null };
+    },
+};
+
+const submitted = (sentAt) => ({
+    id: 1,
+    draw_id: 1,
+    public_key: "DAG2n8GJd2RVfYX1sJb4rSGL2p3BVwWmikjhygss",
+    payout_type: "winner",
+    prize: "100000000",
+    fee_paid: "0",
+    hash: "abc",
+    retry: 1,
+    submitted_at: sentAt,
+    transaction_datetime: sentAt,
+    updated_at: sentAt,
+});
+
+test("a transfer the network doesn't know is left Submitted for a while", async () => {
+    const pool = fakePool([submitted(new Date(Date.now() - 5 * MINUTE))]);
+    const result = await watchConfirmations(pool, unknownNetwork, {
+        dropAfterMs: 30 * MINUTE,
+    });
+
+    assert.deepStrictEqual(result, { confirmed: 0, dropped: 0, pending: 1 });
+    assert.strictEqual(pool.updates.length, 0);
+});
+
+test("a transfer still unknown after the drop window fails so it is sent again", async () => {
+    const pool = fakePool([submitted(new Date(Date.now() - 31 * MINUTE))]);
+    const result = await watchConfirmations(pool, unknownNetwork, {
+        dropAfterMs: 30 * MINUTE,
+    });
+
+    assert.deepStrictEqual(result, { confirmed: 0, dropped: 1, pending: 0 });
+    assert.match(pool.updates[0].sql, /status = 'Failed', hash = NULL/);
+});
+
+test("an unknown transfer is dropped even without a usable drop window or send time", async () => {
+    const old = new Date(Date.now() - 31 * MINUTE);
+    let pool = fakePool([submitted(old)]);
+    let result = await watchConfirmations(pool, unknownNetwork, {
+        dropAfterMs: NaN,
+    });
+    assert.strictEqual(result.dropped, 1);
+
+    pool = fakePool([submitted(null)]);
+    result = await watchConfirmations(pool, unknownNetwork);
+    assert.strictEqual(result.dropped, 1);
+});
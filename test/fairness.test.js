@@ -0,0 +1,123 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const {
+    generateSeed,
+    commitSeed,
+    selectWinner,
+    selectWinners,
+    verifySelection,
+} = require("../lib/fairness");
+
+const participants = [
+    { source: "DAGc", amount: 600n },
+    { source: "DAGa", amount: 100n },
+    { source: "DAGb", amount: 300n },
+];
+const seed = "5e".repeat(32);
+const chainValue = "ab".repeat(32);
+
+test("generateSeed returns 32 random bytes as hex", () => {
+    const first = generateSeed();
+
+    assert.match(first, /^[0-9a-f]{64}$/);
+    assert.notStrictEqual(first, generateSeed());
+});
+
+test("commitSeed is the SHA-256 of the seed", () => {
+    assert.strictEqual(
+        commitSeed(seed),
+        crypto.createHash("sha256").update(seed).digest("hex"),
+    );
+});
+
+test("selectWinner picks the range holding the ticket", () => {
+    const { winner, ticket, totalAmount } = selectWinner(
+        participants,
+        seed,
+        chainValue,
+    );
+    const expected =
+        BigInt(
+            `0x${crypto.createHash("sha256").update(`${seed}:${chainValue}`).digest("hex")}`,
+        ) % 1000n;
+    // Sorted by address: DAGa covers [0, 100), DAGb [100, 400), DAGc [400, 1000)
+    const owner = expected < 100n ? "DAGa" : expected < 400n ? "DAGb" : "DAGc";
+
+    assert.strictEqual(totalAmount, 1000n);
+    assert.strictEqual(ticket, expected.toString());
+    assert.strictEqual(winner.source, owner);
+});
+
+test("selectWinner doesn't depend on the order of the participants", () => {
+    const reversed = [...participants].reverse();
+
+    assert.deepStrictEqual(
+        selectWinner(reversed, seed, chainValue),
+        selectWinner(participants, seed, chainValue),
+    );
+});
+
+test("selectWinner changes with the chain value", () => {
+    const tickets = new Set(
+        ["01", "02", "03", "04"].map(
+            (value) => selectWinner(participants, seed, value).ticket,
+        ),
+    );
+
+    assert.strictEqual(tickets.size, 4);
+});
+
+test("selectWinner refuses a draw without deposits", () => {
+    assert.throws(
+        () => selectWinner([{ source: "DAGa", amount: 0n }], seed, chainValue),
+        /without deposits/,
+    );
+});
+
+test("selectWinners draws distinct winners, the first being selectWinner's", () => {
+    const winners = selectWinners(participants, seed, chainValue, 5);
+
+    assert.strictEqual(winners.length, 3);
+    assert.strictEqual(new Set(winners.map((w) => w.source)).size, 3);
+    assert.strictEqual(
+        winners[0].source,
+        selectWinner(participants, seed, chainValue).winner.source,
+    );
+    assert.deepStrictEqual(
+        selectWinners(participants, seed, chainValue, 2),
+        winners.slice(0, 2),
+    );
+});
+
+test("verifySelection accepts the published selection only", () => {
+    const { winner, ticket } = selectWinner(participants, seed, chainValue);
+    const published = {
+        commitment: commitSeed(seed),
+        seed,
+        chainValue,
+        ticket,
+        winner: winner.source,
+    };
+    const other = participants.find((p) => p.source !== winner.source);
+
+    assert.strictEqual(verifySelection(published, participants), true);
+    assert.strictEqual(
+        verifySelection(
+            { ...published, commitment: commitSeed("other") },
+            participants,
+        ),
+        false,
+    );
+    assert.strictEqual(
+        verifySelection({ ...published, winner: other.source }, participants),
+        false,
+    );
+    assert.strictEqual(
+        verifySelection(published, [
+            ...participants,
+            { source: "DAGd", amount: 5000n },
+        ]),
+        false,
+    );
+});
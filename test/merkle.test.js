@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const {
+    leafHash,
+    nodeHash,
+    buildMerkleTree,
+    merkleProof,
+    verifyMerkleProof,
+} = require("../lib/merkle");
+
+const participants = ["DAGe", "DAGa", "DAGd", "DAGb", "DAGc"].map(
+    (source, index) => ({ source, amount: BigInt((index + 1) * 100) }),
+);
+
+test("leafHash and nodeHash are prefixed SHA-256 hashes", () => {
+    const sha256 = (...parts) =>
+        crypto.createHash("sha256").update(Buffer.concat(parts)).digest("hex");
+    const leaf = leafHash("DAGa", 200n);
+
+    assert.strictEqual(
+        leaf,
+        sha256(Buffer.from([0]), Buffer.from("DAGa:200", "utf8")),
+    );
+    assert.strictEqual(
+        nodeHash(leaf, leaf),
+        sha256(
+            Buffer.from([1]),
+            Buffer.from(leaf, "hex"),
+            Buffer.from(leaf, "hex"),
+        ),
+    );
+    assert.notStrictEqual(leafHash("DAGa", 201n), leaf);
+});
+
+test("buildMerkleTree sorts the leaves by address", () => {
+    const { leaves } = buildMerkleTree(participants);
+
+    assert.deepStrictEqual(
+        leaves.map((leaf) => leaf.source),
+        ["DAGa", "DAGb", "DAGc", "DAGd", "DAGe"],
+    );
+    assert.strictEqual(
+        buildMerkleTree([...participants].reverse()).root,
+        buildMerkleTree(participants).root,
+    );
+});
+
+test("buildMerkleTree moves an odd node up without duplicating it", () => {
+    const { root, leaves } = buildMerkleTree(participants.slice(0, 3));
+    const [a, d, e] = leaves.map((leaf) => leaf.hash);
+
+    assert.strictEqual(root, nodeHash(nodeHash(a, d), e));
+});
+
+test("buildMerkleTree has no root without participants", () => {
+    assert.deepStrictEqual(buildMerkleTree([]), {
+        root: null,
+        leaves: [],
+        levels: [],
+    });
+});
+
+test("a single participant is the root", () => {
+    const { root, levels } = buildMerkleTree([participants[0]]);
+
+    assert.strictEqual(root, leafHash("DAGe", 100n));
+    assert.deepStrictEqual(merkleProof(levels, 0), []);
+    assert.ok(verifyMerkleProof({ address: "DAGe", amount: 100n }, [], root));
+});
+
+test("every participant has a proof that verifies against the root", () => {
+    const { root, leaves, levels } = buildMerkleTree(participants);
+
+    leaves.forEach((leaf, index) => {
+        const proof = merkleProof(levels, index);
+
+        assert.ok(
+            verifyMerkleProof(
+                { address: leaf.source, amount: leaf.amount },
+                proof,
+                root,
+            ),
+        );
+    });
+});
+
+test("a proof fails for another amount, address or root", () => {
+    const { root, levels } = buildMerkleTree(participants);
+    const proof = merkleProof(levels, 1);
+
+    assert.ok(
+        verifyMerkleProof({ address: "DAGb", amount: 400n }, proof, root),
+    );
+    assert.ok(
+        !verifyMerkleProof({ address: "DAGb", amount: 401n }, proof, root),
+    );
+    assert.ok(
+        !verifyMerkleProof({ address: "DAGc", amount: 400n }, proof, root),
+    );
+    assert.ok(
+        !verifyMerkleProof(
+            { address: "DAGb", amount: 400n },
+            proof,
+            buildMerkleTree(participants.slice(1)).root,
+        ),
+    );
+});
@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const cron = require("node-cron");
+const { readScheduleConfig, drawJobSchedule } = require("../lib/schedule");
+
+const jobOf = (env) => drawJobSchedule(readScheduleConfig(env));
+
+test("the draw job runs when daily draws start, in their timezone", () => {
+    assert.deepStrictEqual(jobOf({}), {
+        expression: "1 0 21 * * *",
+        timeZone: "UTC",
+    });
+    assert.deepStrictEqual(
+        jobOf({ DRAW_START_TIME: "23:00:00", DRAW_TIMEZONE: "Europe/Paris" }),
+        { expression: "0 0 23 * * *", timeZone: "Europe/Paris" },
+    );
+});
+
+test("the draw job follows cadences that repeat within a day", () => {
+    assert.strictEqual(
+        jobOf({ DRAW_DURATION_MINUTES: "360" }).expression,
+        "1 0 3,9,15,21 * * *",
+    );
+    assert.strictEqual(
+        jobOf({
+            DRAW_START_TIME: "21:07:01",
+            DRAW_DURATION_MINUTES: "10",
+            DRAW_GAP_MINUTES: "5",
+        }).expression,
+        "1 7,22,37,52 * * * *",
+    );
+});
+
+test("the draw job expressions are valid for node-cron", () => {
+    for (const env of [
+        {},
+        { DRAW_DURATION_MINUTES: "360" },
+        { DRAW_DURATION_MINUTES: "1" },
+    ]) {
+        assert.ok(cron.validate(jobOf(env).expression));
+    }
+});
+
+test("cadences that don't fit a cron expression need CRON_SCHEDULE", () => {
+    assert.throws(
+        () => jobOf({ DRAW_DURATION_MINUTES: "90" }),
+        /CRON_SCHEDULE/,
+    );
+    assert.throws(
+        () => jobOf({ DRAW_DURATION_MINUTES: "2880" }),
+        /CRON_SCHEDULE/,
+    );
+});
@@ -0,0 +1,183 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+    getStrategy,
+    validateOptions,
+    buildPayoutPlan,
+    buildPrizeTable,
+} = require("../lib/strategies");
+
+const participants = [
+    { source: "DAGa", amount: 100n },
+    { source: "DAGb", amount: 300n },
+    { source: "DAGc", amount: 601n },
+];
+const byDeposit = [participants[2], participants[1], participants[0]];
+const sum = (payouts) => payouts.reduce((total, p) => total + p.amount, 0n);
+
+for (const strategy of [
+    "top-plus-equal-share",
+    "tiered",
+    "pro-rata",
+    "winner-take-all",
+]) {
+    test(`${strategy}: payouts, house fee and remainder add up to the pool`, () => {
+        const plan = buildPayoutPlan({
+            strategy,
+            fee: 0.05,
+            participants,
+            winners: byDeposit,
+            carriedOver: 7n,
+        });
+
+        assert.strictEqual(plan.totalAmount, 1001n);
+        assert.strictEqual(plan.houseFee, 50n);
+        assert.strictEqual(plan.prizePool, 958n);
+        assert.ok(plan.remainder >= 0n);
+        assert.strictEqual(
+            sum(plan.payouts) + plan.houseFee + plan.remainder,
+            plan.totalAmount + 7n,
+        );
+    });
+}
+
+test("top-plus-equal-share pays half to the winner and shares the rest", () => {
+    const plan = buildPayoutPlan({
+        strategy: "top-plus-equal-share",
+        fee: 0,
+        participants,
+        winners: [participants[0]],
+    });
+
+    // Half the pool is 500, 166 each once shared by 3: 3 datum stay with the house
+    assert.deepStrictEqual(plan.payouts, [
+        { receiver: "DAGa", amount: 666n, type: "top" },
+        { receiver: "DAGb", amount: 166n, type: "individual" },
+        { receiver: "DAGc", amount: 166n, type: "individual" },
+    ]);
+    assert.strictEqual(plan.remainder, 3n);
+});
+
+test("tiered scales the shares up with fewer winners than tiers", () => {
+    const plan = buildPayoutPlan({
+        strategy: "tiered",
+        options: { tiers: [0.5, 0.25, 0.15, 0.1] },
+        fee: 0,
+        participants: participants.slice(0, 2),
+        winners: [participants[1], participants[0]],
+    });
+
+    assert.deepStrictEqual(plan.payouts, [
+        { receiver: "DAGb", amount: 266n, type: "tier-1" },
+        { receiver: "DAGa", amount: 133n, type: "tier-2" },
+    ]);
+    assert.strictEqual(plan.remainder, 1n);
+});
+
+test("pro-rata pays in proportion to the deposits, rounded down", () => {
+    const plan = buildPayoutPlan({
+        strategy: "pro-rata",
+        fee: 0.1,
+        participants,
+        winners: [participants[0]],
+    });
+
+    assert.deepStrictEqual(
+        plan.payouts.map((payout) => payout.amount),
+        [90n, 270n, 540n],
+    );
+    assert.strictEqual(plan.prizePool, 901n);
+    assert.strictEqual(plan.remainder, 1n);
+});
+
+test("getStrategy defaults to top-plus-equal-share and rejects unknown names", () => {
+    assert.strictEqual(
+        getStrategy(undefined),
+        getStrategy("top-plus-equal-share"),
+    );
+    assert.throws(
+        () => getStrategy("lucky-dip"),
+        /Unknown distribution strategy 'lucky-dip'/,
+    );
+});
+
+test("validateOptions accepts the options each strategy takes", () => {
+    validateOptions("tiered", { tiers: [0.6, 0.3, 0.1] });
+    validateOptions("tiered", {});
+    validateOptions("pro-rata", {});
+    validateOptions(undefined, {});
+});
+
+test("validateOptions rejects options that don't fit the strategy", () => {
+    assert.throws(
+        () => validateOptions("tiered", { tiers: [0.5, 0.3] }),
+        /add up to 1/,
+    );
+    assert.throws(
+        () => validateOptions("tiered", { tiers: ["0.5", 0.5] }),
+        /must be numbers/,
+    );
+    assert.throws(
+        () => validateOptions("tiered", { tiers: [1.5, -0.5] }),
+        /positive shares/,
+    );
+    assert.throws(
+        () => validateOptions("tiered", { tiers: Array(101).fill(0.01) }),
+        /at most 100 winners/,
+    );
+    assert.throws(
+        () => validateOptions("tiered", { tiers: [1], top: 1 }),
+        /Unknown distribution options: top/,
+    );
+    assert.throws(
+        () => validateOptions("winner-take-all", { tiers: [1] }),
+        /takes none/,
+    );
+    assert.throws(
+        () => validateOptions("pro-rata", [1]),
+        /must be a JSON object/,
+    );
+    assert.throws(() => validateOptions("lucky-dip", {}), /Unknown/);
+});
+
+test("buildPrizeTable lists the prize of each rank and the shares", () => {
+    const table = buildPrizeTable({
+        strategy: "top-plus-equal-share",
+        fee: 0,
+        participants,
+    });
+
+    assert.deepStrictEqual(table.prizes, [
+        { rank: 1, type: "top", amount: 666n },
+    ]);
+    assert.deepStrictEqual(
+        table.shares.map((share) => share.amount),
+        [166n, 166n, 166n],
+    );
+});
+
+test("buildPrizeTable has no rank prizes for pro-rata and no shares for tiered", () => {
+    const proRata = buildPrizeTable({
+        strategy: "pro-rata",
+        fee: 0,
+        participants,
+    });
+    const tiered = buildPrizeTable({
+        strategy: "tiered",
+        options: { tiers: [0.5, 0.3, 0.2] },
+        fee: 0,
+        participants,
+    });
+
+    assert.deepStrictEqual(proRata.prizes, []);
+    assert.strictEqual(proRata.shares.length, 3);
+    assert.deepStrictEqual(
+        tiered.prizes.map((prize) => [prize.rank, prize.amount]),
+        [
+            [1, 500n],
+            [2, 300n],
+            [3, 200n],
+        ],
+    );
+    assert.deepStrictEqual(tiered.shares, []);
+});